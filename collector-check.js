@@ -0,0 +1,103 @@
+// ============================================
+// COLLECTOR CHECK
+// Delivers batches to the local collector the way the tracker does: one
+// batch at a time, retried with backoff on 5xx, and some batches sent
+// twice as a beacon would after a fetch that was already accepted.
+// Fails unless every event arrives exactly once, in order.
+//
+//   node collector-check.js
+//   FAIL_RATE=0.5 node collector-check.js
+// ============================================
+
+'use strict';
+
+const assert = require('assert');
+const { createCollector } = require('./collector');
+
+const FAIL_RATE = process.env.FAIL_RATE === undefined ? 0.3 : Number(process.env.FAIL_RATE);
+const BATCHES = 30;
+const BATCH_SIZE = 5;
+const MAX_ATTEMPTS = 50;
+
+const collector = createCollector({ failRate: FAIL_RATE, quiet: true });
+
+function makeBatches() {
+    const batches = [];
+    let eventNumber = 0;
+    for (let b = 0; b < BATCHES; b++) {
+        const batch = [];
+        for (let i = 0; i < BATCH_SIZE; i++) {
+            eventNumber++;
+            batch.push({
+                event_id: `check-${eventNumber}`,
+                event_number: eventNumber,
+                type_of_event: 'custom',
+                event_object: 'collector_check'
+            });
+        }
+        batches.push(batch);
+    }
+    return batches;
+}
+
+function post(endpoint, batch) {
+    return fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+        body: JSON.stringify({ sent_at: new Date().toISOString(), events: batch })
+    });
+}
+
+function wait(ms) {
+    return new Promise(function(resolve) {
+        setTimeout(resolve, ms);
+    });
+}
+
+function deliver(endpoint, batch, attempt) {
+    return post(endpoint, batch).then(function(response) {
+        if (response.ok) return attempt;
+        assert.ok(response.status >= 500, `unexpected status ${response.status}`);
+        assert.ok(attempt < MAX_ATTEMPTS, 'batch never accepted');
+        return wait(Math.pow(2, Math.min(attempt, 4))).then(function() {
+            return deliver(endpoint, batch, attempt + 1);
+        });
+    });
+}
+
+collector.server.listen(0, function() {
+    const endpoint = `http://localhost:${collector.server.address().port}/collect`;
+    const batches = makeBatches();
+    let resent = 0;
+    let attempts = 0;
+    
+    batches.reduce(function(previous, batch, index) {
+        return previous.then(function() {
+            return deliver(endpoint, batch, 1);
+        }).then(function(tries) {
+            attempts += tries;
+            if (index % 4 !== 0) return;
+            resent += batch.length;
+            return deliver(endpoint, batch, 1).then(function(tries) {
+                attempts += tries;
+            });
+        });
+    }, Promise.resolve()).then(function() {
+        const stats = collector.stats;
+        const expected = batches.flat().map(function(event) {
+            return event.event_id;
+        });
+        
+        assert.strictEqual(stats.events, expected.length, 'events lost or double counted');
+        assert.strictEqual(stats.duplicates, resent, 'duplicates not recognised');
+        assert.deepStrictEqual(Array.from(collector.seenIds), expected, 'events arrived out of order');
+        
+        console.log(`✅ ${stats.events} events delivered once each in ${attempts} requests ` +
+            `(${stats.failed} simulated failures, ${stats.duplicates} duplicates dropped)`);
+    }).catch(function(error) {
+        console.error('❌ Collector check failed:', error.message);
+        process.exitCode = 1;
+    }).then(function() {
+        collector.server.close();
+    });
+});
@@ -0,0 +1,126 @@
+// ============================================
+// LOCAL COLLECTOR
+// Stand-in for the tracker's backend while developing:
+//   node collector.js
+//   EventTracker.updateConfig({ endpoint: 'http://localhost:8080/collect' })
+//
+// PORT=8080          port to listen on
+// FAIL_RATE=0.3      fraction of batches answered with FAIL_STATUS
+// FAIL_STATUS=503    status used for simulated failures (5xx, 408, 429 are retried)
+//
+// node collector-check.js drives it with failures and duplicate deliveries
+// ============================================
+
+'use strict';
+
+const http = require('http');
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+function reply(res, status, body) {
+    res.writeHead(status, Object.assign({ 'Content-Type': 'application/json' }, CORS_HEADERS));
+    res.end(body ? JSON.stringify(body) : undefined);
+}
+
+function readBody(req) {
+    return new Promise(function(resolve, reject) {
+        const chunks = [];
+        req.on('data', function(chunk) {
+            chunks.push(chunk);
+        });
+        req.on('end', function() {
+            resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+function createCollector(options) {
+    const failRate = options.failRate || 0;
+    const failStatus = options.failStatus || 503;
+    const log = options.quiet ? function() {} : console.log;
+    
+    const stats = {
+        batches: 0,
+        events: 0,
+        duplicates: 0,
+        failed: 0
+    };
+    
+    // Beacons and retries may deliver the same event twice
+    const seenIds = new Set();
+    
+    function logBatch(payload) {
+        const events = Array.isArray(payload.events) ? payload.events : [];
+        let fresh = 0;
+        
+        stats.batches++;
+        events.forEach(function(event) {
+            if (seenIds.has(event.event_id)) {
+                stats.duplicates++;
+                return;
+            }
+            seenIds.add(event.event_id);
+            fresh++;
+            // Only page-level events carry url; element events have a selector
+            log(`  #${event.event_number} ${event.type_of_event} (${event.event_object}) ${event.url || event.element_selector || ''}`);
+        });
+        stats.events += fresh;
+        
+        log(`📦 Batch ${stats.batches}: ${fresh} new, ${events.length - fresh} duplicate, sent ${payload.sent_at}`);
+        return fresh;
+    }
+    
+    function handleCollect(req, res) {
+        // sendBeacon posts text/plain, fetch posts application/json; both carry JSON
+        readBody(req).then(function(body) {
+            if (Math.random() < failRate) {
+                stats.failed++;
+                log(`⚠️  Simulated failure (${failStatus})`);
+                return reply(res, failStatus, { error: 'simulated failure' });
+            }
+            
+            let payload;
+            try {
+                payload = JSON.parse(body);
+            } catch (e) {
+                return reply(res, 400, { error: 'invalid JSON' });
+            }
+            
+            reply(res, 200, { accepted: logBatch(payload) });
+        }, function() {
+            reply(res, 400, { error: 'unreadable body' });
+        });
+    }
+    
+    const server = http.createServer(function(req, res) {
+        const path = req.url.split('?')[0];
+        
+        if (req.method === 'OPTIONS') return reply(res, 204);
+        if (path === '/collect' && req.method === 'POST') return handleCollect(req, res);
+        if (path === '/stats' && req.method === 'GET') return reply(res, 200, stats);
+        
+        reply(res, 404, { error: 'not found' });
+    });
+    
+    return { server: server, stats: stats, seenIds: seenIds };
+}
+
+module.exports = { createCollector: createCollector };
+
+if (require.main === module) {
+    const port = Number(process.env.PORT) || 8080;
+    const failRate = Number(process.env.FAIL_RATE) || 0;
+    const failStatus = Number(process.env.FAIL_STATUS) || 503;
+    
+    createCollector({ failRate: failRate, failStatus: failStatus }).server.listen(port, function() {
+        console.log(`📡 Collector listening on http://localhost:${port}/collect`);
+        if (failRate > 0) {
+            console.log(`   Failing ${Math.round(failRate * 100)}% of batches with ${failStatus}`);
+        }
+    });
+}
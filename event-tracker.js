@@ -16,9 +16,110 @@
         trackKeyboard: true,
         trackClipboard: true,
         trackVisibility: true,
-        visibilityThreshold: 0.5    // 50% visible to trigger view event
+        trackPerformance: true,
+        heavyResourceBytes: 500000, // resources at least this large are reported
+        slowResourceMs: 2000,       // ...and so are those that took this long
+        maxLongTaskEvents: 20,      // long task events per page, to keep janky pages from flooding
+        trackErrors: true,
+        captureConsoleErrors: true, // report console.error calls as errors too
+        breadcrumbCount: 20,        // preceding events attached to each error
+        errorRepeatWindow: 60000,   // ms during which repeats of the same error are only counted
+        recordSession: false,       // DOM snapshot + mutation recording for replay.html
+        maxRecordingFrames: 20000,  // recording stops once this many frames are held
+        eventLogSize: 1000,         // delivered events kept in memory for getEvents/export and the heatmap
+        trackFrustration: true,     // rage/dead/error clicks and mouse thrashing
+        rageClickCount: 3,          // clicks within rageClickRadius px and rageClickWindow ms
+        rageClickRadius: 30,
+        rageClickWindow: 1000,
+        deadClickTimeout: 1000,     // ms without DOM change or navigation after a click
+        errorClickWindow: 1000,     // ms after a click in which an error is blamed on it
+        thrashWindow: 1500,         // ms of mouse movement examined (needs trackMouseMovement)
+        thrashDirectionChanges: 6,  // horizontal/vertical reversals within thrashWindow
+        trackForms: true,           // per-form sessions: field funnel, time-to-fill, abandonment
+        trackRouteChanges: true,    // virtual page views for History API / hash navigation
+        trackGestures: true,        // pointer down/up, tap, long-press, swipe, pinch, orientation
+        tapMaxMovement: 10,         // px a tap or long-press may drift
+        longPressDelay: 500,        // ms held in place to count as a long-press
+        swipeMinDistance: 50,       // px travelled to count as a swipe...
+        swipeMaxDuration: 1000,     // ...within this many ms
+        pinchMinScale: 0.1,         // relative change in finger distance to count as a pinch
+        trackEngagement: true,      // engaged time (visible, focused, not idle) per page and section
+        heartbeatInterval: 15000,   // ms between heartbeat events while engaged (0 = none)
+        
+        // Goals & funnels
+        funnels: {},                // name -> steps, or { steps, within }; see defineFunnel
+        funnelWindow: 86400000,     // ms a funnel may go without progress before it counts as a drop-off
+        
+        // Attribution
+        trackAttribution: true,     // UTM/click-id/referrer channel, first and last touch
+        stripTrackingParams: true,  // drop utm_*, gclid, fbclid... from logged URLs
+        attributedEvents: ['page_view', 'goal_reached', 'form_submit'], // events carrying the attribution block
+        
+        // Links
+        trackLinks: true,           // link_click events: outbound, internal, download, mailto, tel
+        downloadExtensions: [
+            'pdf', 'doc', 'docx', 'xls', 'xlsx', 'ppt', 'pptx', 'odt', 'csv', 'txt', 'rtf',
+            'zip', 'rar', '7z', 'gz', 'tar', 'dmg', 'exe', 'msi', 'apk', 'mp3', 'mp4', 'mov', 'avi'
+        ],
+        
+        // Debugging
+        logLevel: 'silent',         // console output per event: 'silent' (warnings only), 'summary' (one line) or 'verbose' (full group)
+        debugShortcut: 'alt+shift+d', // toggles the debug panel; ?tracker_debug=1 opens it on load
+        debugPanelRows: 200,        // events listed in the debug panel
+        visibilityThreshold: 0.5,   // 50% visible to trigger view event
+        eventTypes: {},             // type_of_event -> false to stop logging that type
+        sampleRates: {},            // type_of_event -> fraction of events kept (0-1)
+        
+        // Transport
+        endpoint: null,             // collector URL, e.g. 'http://localhost:8080/collect' (null = console only)
+        transport: 'fetch',         // name of a registered transport or a function(batch) returning a Promise
+        batchSize: 20,              // events per request
+        flushInterval: 5000,        // ms to wait before sending a partial batch
+        maxRetries: 3,              // attempts per batch before it is put back in the queue
+        retryBaseDelay: 1000,       // ms, doubled on every retry
+        maxQueueSize: 500,          // in-memory cap; overflow waits in storage, or the oldest are dropped without it
+        beaconMaxBytes: 60000,      // browsers cap sendBeacon payloads at 64 KB
+        
+        // Offline persistence
+        persistQueue: true,         // keep undelivered events in IndexedDB (or localStorage)
+        maxStoredEvents: 1000,      // oldest stored events are evicted beyond this
+        maxStoredBytes: 2000000,    // size budget for the localStorage fallback
+        
+        // Visitor & session
+        sessionTimeout: 1800000,    // 30 minutes without activity starts a new session
+        visitorCookieDays: 365,     // lifetime of the anonymous visitor cookie
+        cookieDomain: null,         // e.g. '.example.com' to share ids across subdomains
+        
+        // Privacy
+        redactPatterns: true,       // scrub emails, card numbers, phones and tokens from every string
+        maskAllInputs: false,       // mask every captured field value, not just sensitive ones
+        fieldPolicies: {},          // CSS selector -> 'allow' | 'redact' | 'mask' | 'ignore'
+        
+        // Consent
+        requireConsent: false,      // hold events until grantConsent()/denyConsent() is called
+        respectDoNotTrack: true,    // Do-Not-Track / Global Privacy Control deny all categories
+        consentVersion: 1,          // bump to ask again after the privacy policy changes
+        maxConsentBuffer: 200,      // events held while consent is pending
+        
+        // Schema validation
+        environment: 'auto',        // 'development' warns about invalid events, 'production' applies the policy below; 'auto' = development on localhost
+        invalidEventPolicy: 'quarantine', // production: 'drop' or 'quarantine' (kept aside, see getQuarantinedEvents)
+        maxQuarantine: 100
     };
     
+    // Settings that must be known before the first event (e.g. requireConsent)
+    // can be given as window.EventTrackerConfig before this script loads
+    if (window.EventTrackerConfig) {
+        Object.assign(CONFIG, window.EventTrackerConfig);
+    }
+    
+    // ?tracker_debug=1 opens the debug panel and, unless the page picked a
+    // log level itself, prints every event in full
+    const DEBUG_MODE = new URLSearchParams(window.location.search).get('tracker_debug') === '1';
+    if (DEBUG_MODE && !(window.EventTrackerConfig && window.EventTrackerConfig.logLevel)) {
+        CONFIG.logLevel = 'verbose';
+    }
+    
     // State management
     const STATE = {
         eventCount: 0,
@@ -29,7 +130,9 @@
         maxScrollDepth: 0,
         timeOnPage: 0,
         isIdle: false,
-        mouseTrail: []
+        mouseTrail: [],
+        routeUrl: window.location.href,    // current route of a single-page app
+        routeStart: new Date()
     };
     
     // ============================================
@@ -44,6 +147,101 @@
         return Date.now() - STATE.sessionStart.getTime();
     }
     
+    function readCookie(name) {
+        const match = document.cookie.match(new RegExp('(?:^|; )' + name + '=([^;]*)'));
+        return match ? decodeURIComponent(match[1]) : null;
+    }
+    
+    function writeCookie(name, value, days) {
+        let cookie = `${name}=${encodeURIComponent(value)}; path=/; SameSite=Lax`;
+        if (days) cookie += `; max-age=${Math.max(Math.round(days * 86400), 0)}`;
+        if (CONFIG.cookieDomain) cookie += `; domain=${CONFIG.cookieDomain}`;
+        if (window.location.protocol === 'https:') cookie += '; Secure';
+        document.cookie = cookie;
+    }
+    
+    // First-party storage: localStorage with a cookie mirror, so either one
+    // being cleared or blocked doesn't lose the value
+    function readPersisted(key) {
+        try {
+            const value = localStorage.getItem(key);
+            if (value !== null) return value;
+        } catch (e) {
+            // Storage blocked (privacy mode, sandboxed iframe)
+        }
+        return readCookie(key);
+    }
+    
+    // Non-essential values (visitor and session ids) are only written once
+    // the visitor has agreed to interaction tracking
+    function writePersisted(key, value, days, essential) {
+        if (!essential && !hasStorageConsent()) return;
+        
+        try {
+            localStorage.setItem(key, value);
+        } catch (e) {
+            // Storage blocked: the cookie alone will have to do
+        }
+        writeCookie(key, value, days);
+    }
+    
+    // For state too large or too chatty to ride along on every request as a
+    // cookie; same consent rule as writePersisted
+    function readLocal(key) {
+        try {
+            return localStorage.getItem(key);
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function writeLocal(key, value) {
+        if (!hasStorageConsent()) return;
+        
+        try {
+            localStorage.setItem(key, value);
+        } catch (e) {
+            // Storage blocked or full: the value lives for this page only
+        }
+    }
+    
+    function removeLocal(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (e) {
+            // Storage blocked: nothing stored there
+        }
+    }
+    
+    function removePersisted(key) {
+        try {
+            localStorage.removeItem(key);
+        } catch (e) {
+            // Storage blocked: nothing stored there
+        }
+        writeCookie(key, '', -1);
+    }
+    
+    // FNV-1a, as short hex: stable ids for grouping, not for security
+    function hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    }
+    
+    function generateId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+            const r = Math.random() * 16 | 0;
+            return (c === 'x' ? r : (r & 0x3 | 0x8)).toString(16);
+        });
+    }
+    
     function getElementType(element) {
         if (!element || !element.tagName) return 'unknown';
         
@@ -95,7 +293,7 @@
         return tag;
     }
     
-    function getElementIdentifier(element) {
+    function getElementIdentifier(element, omitText) {
         if (!element) return 'unknown';
         
         const id = element.id ? `#${element.id}` : '';
@@ -104,7 +302,7 @@
             : '';
         const tag = element.tagName ? element.tagName.toLowerCase() : '';
         const name = element.name ? `[name="${element.name}"]` : '';
-        const text = element.textContent 
+        const text = element.textContent && !omitText
             ? ` "${element.textContent.trim().substring(0, 40)}${element.textContent.length > 40 ? '...' : ''}"` 
             : '';
         
@@ -112,6 +310,8 @@
         const dataAttrs = [];
         if (element.dataset) {
             for (let key in element.dataset) {
+                // Props are JSON payloads, not identity
+                if (key === 'trackProps') continue;
                 dataAttrs.push(`[data-${key}="${element.dataset[key]}"]`);
             }
         }
@@ -136,11 +336,61 @@
         return path.join(' > ');
     }
     
+    // Campaign and ad click parameters: read once by the attribution module,
+    // then kept out of every logged URL
+    const TRACKING_PARAMS = [
+        'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id',
+        'gclid', 'gbraid', 'wbraid', 'dclid', 'msclkid', 'yclid', 'fbclid', 'ttclid', 'twclid',
+        'li_fat_id', 'epik', 'sccid', 'igshid', 'mc_cid', 'mc_eid', '_hsenc', '_hsmi', '_ga', '_gl'
+    ];
+    
+    function stripTrackingParams(url) {
+        if (!url || !CONFIG.stripTrackingParams) return url;
+        try {
+            const parsed = new URL(url);
+            let stripped = false;
+            Array.from(parsed.searchParams.keys()).forEach(function(key) {
+                if (TRACKING_PARAMS.includes(key.toLowerCase())) {
+                    parsed.searchParams.delete(key);
+                    stripped = true;
+                }
+            });
+            return stripped ? parsed.toString() : url;
+        } catch (e) {
+            return url;
+        }
+    }
+    
+    // URLs as they are logged
+    function getPageUrl() {
+        return stripTrackingParams(window.location.href);
+    }
+    
+    function getReferrer() {
+        return stripTrackingParams(document.referrer);
+    }
+    
+    // Where inside the element the pointer was, as 0-1 fractions of its box,
+    // so positions survive layout changes between viewports
+    function getElementOffset(element, clientX, clientY) {
+        if (!element || !element.getBoundingClientRect) return null;
+        const rect = element.getBoundingClientRect();
+        if (!rect.width || !rect.height) return null;
+        
+        const clamp = function(value) {
+            return Math.round(Math.min(Math.max(value, 0), 1) * 10000) / 10000;
+        };
+        return {
+            x_ratio: clamp((clientX - rect.left) / rect.width),
+            y_ratio: clamp((clientY - rect.top) / rect.height)
+        };
+    }
+    
     function getPageMetadata() {
         return {
-            url: window.location.href,
+            url: getPageUrl(),
             title: document.title,
-            referrer: document.referrer,
+            referrer: getReferrer(),
             viewport: {
                 width: window.innerWidth,
                 height: window.innerHeight
@@ -170,403 +420,4995 @@
     }
     
     // ============================================
-    // LOGGING FUNCTION
+    // STABLE SELECTORS
     // ============================================
     
-    function logEvent(eventType, eventObject, element, additionalInfo = {}) {
-        STATE.eventCount++;
-        STATE.lastActivity = new Date();
-        STATE.isIdle = false;
+    // element_path and element_identifier change with copy and CSS edits.
+    // element_selector is the shortest unique selector built from the most
+    // stable hooks available, element_fingerprint a hash of what identifies
+    // the element regardless of its position, for aggregating across pages.
+    const SELECTOR_ATTRIBUTES = ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-track'];
+    
+    // Crosses into a shadow root or a same-origin iframe
+    const SELECTOR_BOUNDARY = ' >>> ';
+    
+    // Build-generated names: CSS modules (Button_primary__a1B2c, _3xYz1),
+    // emotion (css-1x2y3z), styled-components (sc-abc), styled-jsx (jsx-123).
+    // BEM names like card__title are kept: their suffix has no digits.
+    const HASHED_CLASS = /__[\w-]*\d[\w-]*$|^_[\w-]*\d|^css-[a-z0-9]+$|^sc-|^jsx-\d+$|\d{3,}/;
+    
+    // Framework-generated ids (:r1:, ember123, radix-5, UUIDs) differ between renders
+    const GENERATED_ID = /^\d|\d{2,}|:|^[a-f0-9-]{16,}$/i;
+    
+    function cssEscape(value) {
+        if (window.CSS && typeof window.CSS.escape === 'function') return window.CSS.escape(value);
+        return String(value).replace(/[^a-zA-Z0-9_-]/g, '\\$&');
+    }
+    
+    function quoteAttribute(value) {
+        return `"${String(value).replace(/["\\]/g, '\\$&')}"`;
+    }
+    
+    function getStableClasses(element) {
+        if (typeof element.className !== 'string') return [];
+        return element.className.trim().split(/\s+/).filter(function(name) {
+            return name && /^[a-zA-Z_-][\w-]*$/.test(name) && !HASHED_CLASS.test(name);
+        });
+    }
+    
+    function getStableId(element) {
+        return element.id && !GENERATED_ID.test(element.id) ? element.id : null;
+    }
+    
+    // A selector that, when it exists, should identify the element on its own
+    function getAnchorSelector(element) {
+        const tag = element.tagName.toLowerCase();
+        for (const attribute of SELECTOR_ATTRIBUTES) {
+            const value = element.getAttribute(attribute);
+            if (value) return `[${attribute}=${quoteAttribute(value)}]`;
+        }
         
-        const logData = {
-            event_number: STATE.eventCount,
-            timestamp: getTimestamp(),
-            relative_time_ms: getRelativeTime(),
-            type_of_event: eventType,
-            event_object: eventObject,
-            element_identifier: element ? getElementIdentifier(element) : 'N/A',
-            element_tag: element ? element.tagName.toLowerCase() : 'N/A',
-            element_path: element ? getElementPath(element) : 'N/A',
-            session_info: {
-                time_on_page_ms: Date.now() - STATE.sessionStart.getTime(),
-                total_events: STATE.eventCount,
-                max_scroll_depth: STATE.maxScrollDepth
-            },
-            ...additionalInfo
-        };
+        const id = getStableId(element);
+        if (id) return `#${cssEscape(id)}`;
         
-        // Styled console output
-        const eventColors = {
-            click: '#667eea',
-            view: '#4caf50',
-            scroll: '#2196f3',
-            page_view: '#9c27b0',
-            mouse_move: '#ff9800',
-            keyboard: '#f44336',
-            change: '#00bcd4',
-            submit: '#e91e63',
-            copy: '#795548',
-            paste: '#607d8b',
-            resize: '#3f51b5',
-            visibility_change: '#cddc39',
-            idle: '#9e9e9e'
-        };
+        const label = element.getAttribute('aria-label');
+        if (label && !isPrivateElement(element)) return `${tag}[aria-label=${quoteAttribute(label)}]`;
         
-        const color = eventColors[eventType] || '#666';
+        const name = element.getAttribute('name');
+        if (name && ['input', 'select', 'textarea', 'button', 'form'].includes(tag)) {
+            return `${tag}[name=${quoteAttribute(name)}]`;
+        }
+        return null;
+    }
+    
+    function getStepSelector(element) {
+        const anchor = getAnchorSelector(element);
+        if (anchor) return anchor;
         
-        console.group(`%c🎯 Event #${STATE.eventCount}: ${eventType.toUpperCase()}`, 
-            `color: white; background: ${color}; padding: 4px 8px; border-radius: 4px; font-weight: bold;`);
-        console.log('%cTimestamp:', 'font-weight: bold; color: #2196f3;', logData.timestamp);
-        console.log('%cEvent Type:', 'font-weight: bold; color: #4caf50;', logData.type_of_event);
-        console.log('%cEvent Object:', 'font-weight: bold; color: #ff9800;', logData.event_object);
+        const tag = element.tagName.toLowerCase();
+        const classes = getStableClasses(element).slice(0, 2).map(function(name) {
+            return `.${cssEscape(name)}`;
+        }).join('');
+        const selector = tag + classes;
         
-        if (element) {
-            console.log('%cElement:', 'font-weight: bold; color: #9c27b0;', logData.element_identifier);
-            console.log('%cElement Path:', 'font-weight: bold; color: #795548;', logData.element_path);
+        const parent = element.parentElement;
+        if (!parent) return selector;
+        const twins = Array.from(parent.children).filter(function(sibling) {
+            return sibling.tagName === element.tagName;
+        });
+        if (twins.length < 2) return selector;
+        return `${selector}:nth-of-type(${twins.indexOf(element) + 1})`;
+    }
+    
+    function isUniqueSelector(root, selector, element) {
+        try {
+            const matches = root.querySelectorAll(selector);
+            return matches.length === 1 && matches[0] === element;
+        } catch (e) {
+            return false;
         }
+    }
+    
+    // Shortest chain of steps, from the element up, that matches only it
+    // within its own document or shadow root
+    function getSelectorInRoot(element, root) {
+        const steps = [];
+        let current = element;
         
-        if (Object.keys(additionalInfo).length > 0) {
-            console.log('%cAdditional Info:', 'font-weight: bold; color: #f44336;', additionalInfo);
+        while (current && current.nodeType === 1) {
+            steps.unshift(getStepSelector(current));
+            const selector = steps.join(' > ');
+            if (isUniqueSelector(root, selector, element)) return selector;
+            
+            if (current === root.documentElement || current.parentNode === root) break;
+            current = current.parentElement;
         }
+        return steps.join(' > ');
+    }
+    
+    function getElementSelector(element) {
+        if (!element || element.nodeType !== 1) return 'N/A';
         
-        console.log('%cFull Event Data:', 'font-weight: bold; color: #607d8b;', logData);
-        console.groupEnd();
+        const parts = [];
+        let current = element;
+        while (current) {
+            const root = current.getRootNode ? current.getRootNode() : current.ownerDocument;
+            if (root.host) {
+                parts.unshift(getSelectorInRoot(current, root));
+                current = root.host;
+                continue;
+            }
+            
+            parts.unshift(getSelectorInRoot(current, root));
+            
+            // Same-origin frames continue in the parent document; cross-origin
+            // ones (frameElement is null there) end the chain
+            let frame = null;
+            try {
+                frame = root.defaultView && root.defaultView !== window ? root.defaultView.frameElement : null;
+            } catch (e) {
+                frame = null;
+            }
+            current = frame;
+        }
+        return parts.join(SELECTOR_BOUNDARY);
+    }
+    
+    // Counterpart of getElementSelector: steps into shadow roots and frames
+    function resolveElementSelector(selector) {
+        let root = document;
+        let element = null;
+        const parts = selector.split(SELECTOR_BOUNDARY);
         
-        return logData;
+        for (let i = 0; i < parts.length; i++) {
+            if (i > 0) {
+                root = element.shadowRoot || (element.contentDocument || null);
+                if (!root) return null;
+            }
+            try {
+                element = root.querySelector(parts[i]);
+            } catch (e) {
+                return null;
+            }
+            if (!element) return null;
+        }
+        return element;
+    }
+    
+    // What the element is, not where it is: stable attributes and the tags
+    // of its nearest ancestors, without text, positions or generated names
+    function getElementFingerprint(element) {
+        if (!element || element.nodeType !== 1) return 'N/A';
+        
+        const features = [element.tagName.toLowerCase()];
+        SELECTOR_ATTRIBUTES.concat(['role', 'type', 'name', 'aria-label']).forEach(function(attribute) {
+            const value = element.getAttribute(attribute);
+            if (value) features.push(`${attribute}=${value}`);
+        });
+        
+        const id = getStableId(element);
+        if (id) features.push(`#${id}`);
+        features.push(getStableClasses(element).sort().join('.'));
+        
+        // Links are identified by where they go, minus query and fragment
+        const href = element.getAttribute('href');
+        if (href) features.push(href.split(/[?#]/)[0]);
+        
+        let ancestor = element.parentElement;
+        for (let depth = 0; ancestor && depth < 3; depth++) {
+            features.push(ancestor.tagName.toLowerCase());
+            ancestor = ancestor.parentElement;
+        }
+        return hashString(features.join('|'));
     }
     
     // ============================================
-    // EVENT LISTENERS
+    // PRIVACY & REDACTION
     // ============================================
     
-    // PAGE VIEW
-    window.addEventListener('load', function() {
-        logEvent('page_view', 'page', document.body, getPageMetadata());
-    });
+    // Order matters: card numbers are checked before the looser phone pattern
+    const PII_DETECTORS = [
+        {
+            name: 'email',
+            pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+        },
+        {
+            name: 'card_number',
+            pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+            validate: passesLuhn
+        },
+        {
+            name: 'phone',
+            pattern: /(?:\+\d{1,3}[ .-]?)?(?:\(\d{2,4}\)|\b\d{2,4})[ .-]?\d{3,4}[ .-]?\d{3,4}\b/g,
+            validate: function(match) {
+                return match.replace(/\D/g, '').length >= 9;
+            }
+        },
+        {
+            name: 'token',
+            pattern: /\b(?:eyJ[\w-]+\.[\w-]+\.[\w-]+|(?:sk|pk|rk)_(?:live|test)_[A-Za-z0-9]{10,}|gh[pousr]_[A-Za-z0-9]{20,}|AKIA[0-9A-Z]{16}|[A-Fa-f0-9]{32,})\b|Bearer\s+[\w.~+/-]+=*/g
+        }
+    ];
     
-    // CLICK EVENTS
-    document.addEventListener('click', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
-        
-        logEvent('click', elementType, element, {
-            coordinates: { 
-                x: e.clientX, 
-                y: e.clientY,
-                pageX: e.pageX,
-                pageY: e.pageY
-            },
-            button: e.button,
-            buttons: e.buttons,
-            ctrl_key: e.ctrlKey,
-            shift_key: e.shiftKey,
-            alt_key: e.altKey,
-            meta_key: e.metaKey,
-            detail: e.detail // click count
-        });
-    }, true);
+    // Ids and fixed metadata that can't hold user data but can look like it
+    const REDACTION_EXEMPT_KEYS = new Set([
+        'event_id', 'visitor_id', 'session_id', 'timestamp', 'type_of_event',
+        'event_object', 'userAgent', 'language'
+    ]);
     
-    // DOUBLE CLICK
-    document.addEventListener('dblclick', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
-        
-        logEvent('double_click', elementType, element, {
-            coordinates: { x: e.clientX, y: e.clientY }
-        });
-    }, true);
+    // autocomplete tokens for fields whose values must never be captured
+    const SENSITIVE_AUTOCOMPLETE = [
+        'cc-name', 'cc-number', 'cc-csc', 'cc-exp', 'cc-exp-month', 'cc-exp-year', 'cc-type',
+        'current-password', 'new-password', 'one-time-code',
+        'email', 'tel', 'tel-national', 'tel-local', 'username',
+        'name', 'given-name', 'family-name', 'additional-name',
+        'street-address', 'address-line1', 'address-line2', 'address-line3', 'postal-code',
+        'bday', 'bday-day', 'bday-month', 'bday-year', 'sex'
+    ];
     
-    // RIGHT CLICK (Context Menu)
-    document.addEventListener('contextmenu', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
-        
-        logEvent('right_click', elementType, element, {
-            coordinates: { x: e.clientX, y: e.clientY }
-        });
-    }, true);
+    const SENSITIVE_INPUT_TYPES = ['password', 'email', 'tel'];
     
-    // FORM CHANGE EVENTS
-    document.addEventListener('change', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
-        
-        logEvent('change', elementType, element, {
-            value: element.type === 'password' ? '***' : element.value,
-            checked: element.checked,
-            selected_index: element.selectedIndex,
-            selected_options: element.selectedOptions ? 
-                Array.from(element.selectedOptions).map(opt => opt.value) : undefined
-        });
-    }, true);
+    function passesLuhn(match) {
+        const digits = match.replace(/\D/g, '');
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i], 10);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
     
-    // INPUT EVENTS
-    document.addEventListener('input', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
+    // A path segment, query value or fragment with percent-escapes in it
+    const ENCODED_TOKEN = /[^\s?&#=\/]*%[0-9a-f]{2}[^\s?&#=\/]*/gi;
+    
+    function applyDetectors(text) {
+        return PII_DETECTORS.reduce(function(result, detector) {
+            return result.replace(detector.pattern, function(match) {
+                if (detector.validate && !detector.validate(match)) return match;
+                return `[REDACTED_${detector.name.toUpperCase()}]`;
+            });
+        }, text);
+    }
+    
+    // URLs hide PII behind percent-encoding (?email=a%40b.com), so encoded
+    // tokens are decoded and checked on their own as well
+    function redactText(text) {
+        if (typeof text !== 'string' || text.length === 0) return text;
         
-        logEvent('input', elementType, element, {
-            value_length: element.value ? element.value.length : 0,
-            input_type: e.inputType
+        const redacted = applyDetectors(text);
+        if (redacted.indexOf('%') === -1) return redacted;
+        
+        return redacted.replace(ENCODED_TOKEN, function(token) {
+            let decoded;
+            try {
+                decoded = decodeURIComponent(token);
+            } catch (e) {
+                return token;
+            }
+            const clean = applyDetectors(decoded);
+            return clean === decoded ? token : encodeURIComponent(clean);
         });
-    }, true);
+    }
     
-    // FOCUS EVENTS
-    document.addEventListener('focus', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
-        
-        if (['input', 'select', 'textarea', 'button'].includes(element.tagName.toLowerCase()) || 
-            element.contentEditable === 'true') {
-            logEvent('focus', elementType, element);
+    function isPlainObject(value) {
+        // toString rather than a prototype check so objects from other
+        // frames (e.g. middleware added by an iframe) count too
+        return Object.prototype.toString.call(value) === '[object Object]';
+    }
+    
+    // Returns a copy with every string scrubbed; DOM objects and other
+    // non-plain values are passed through untouched
+    function redactRecord(value, key) {
+        if (key && REDACTION_EXEMPT_KEYS.has(key)) return value;
+        if (typeof value === 'string') return redactText(value);
+        if (Array.isArray(value)) {
+            return value.map(function(item) {
+                return redactRecord(item);
+            });
         }
-    }, true);
+        if (isPlainObject(value)) {
+            const copy = {};
+            Object.keys(value).forEach(function(k) {
+                copy[k] = redactRecord(value[k], k);
+            });
+            return copy;
+        }
+        return value;
+    }
     
-    // BLUR EVENTS
-    document.addEventListener('blur', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
+    function closestElement(node, selector) {
+        const element = node && node.nodeType === 1 ? node : node && node.parentElement;
+        return element && element.closest ? element.closest(selector) : null;
+    }
+    
+    // data-tracker-ui marks the tracker's own overlays, which are never tracked
+    function isIgnoredElement(element) {
+        return Boolean(closestElement(element, '[data-track-ignore], [data-tracker-ui]'));
+    }
+    
+    function isPrivateElement(element) {
+        return Boolean(closestElement(element, '[data-private]'));
+    }
+    
+    function isSensitiveField(element) {
+        if (!element || !element.getAttribute) return false;
         
-        if (['input', 'select', 'textarea', 'button'].includes(element.tagName.toLowerCase()) || 
-            element.contentEditable === 'true') {
-            logEvent('blur', elementType, element);
+        const type = (element.getAttribute('type') || '').toLowerCase();
+        if (element.tagName.toLowerCase() === 'input' && SENSITIVE_INPUT_TYPES.includes(type)) {
+            return true;
         }
-    }, true);
-    
-    // FORM SUBMISSION
-    document.addEventListener('submit', function(e) {
-        const element = e.target;
         
-        logEvent('submit', 'form', element, {
-            action: element.action,
-            method: element.method,
-            form_data_count: new FormData(element).entries().length
+        // autocomplete can hold several tokens, e.g. "shipping street-address"
+        const autocomplete = (element.getAttribute('autocomplete') || '').toLowerCase().split(/\s+/);
+        return autocomplete.some(function(token) {
+            return SENSITIVE_AUTOCOMPLETE.includes(token);
         });
-    }, true);
+    }
     
-    // KEYBOARD EVENTS
-    if (CONFIG.trackKeyboard) {
-        document.addEventListener('keydown', function(e) {
-            logEvent('keyboard', 'keydown', e.target, {
-                key: e.key,
-                code: e.code,
-                key_code: e.keyCode,
-                ctrl_key: e.ctrlKey,
-                shift_key: e.shiftKey,
-                alt_key: e.altKey,
-                meta_key: e.metaKey,
-                repeat: e.repeat
-            });
-        });
+    function getFieldPolicy(element) {
+        if (!element) return CONFIG.maskAllInputs ? 'mask' : 'redact';
+        if (isIgnoredElement(element)) return 'ignore';
         
-        document.addEventListener('keyup', function(e) {
-            logEvent('keyboard', 'keyup', e.target, {
-                key: e.key,
-                code: e.code
-            });
-        });
+        const target = element.nodeType === 1 ? element : element.parentElement;
+        for (const selector in CONFIG.fieldPolicies) {
+            try {
+                if (target && target.matches(selector)) return CONFIG.fieldPolicies[selector];
+            } catch (e) {
+                // Invalid selector in config: skip it
+            }
+        }
+        
+        if (isPrivateElement(element) || CONFIG.maskAllInputs || isSensitiveField(target)) {
+            return 'mask';
+        }
+        return 'redact';
+    }
+    
+    function applyPolicy(value, policy) {
+        if (typeof value !== 'string') return value;
+        if (policy === 'allow') return value;
+        if (policy === 'mask') return '*'.repeat(value.length);
+        if (policy === 'ignore') return undefined;
+        return redactText(value);
+    }
+    
+    // Value of a form field as it may be logged
+    function captureValue(element, value) {
+        return applyPolicy(value, getFieldPolicy(element));
+    }
+    
+    // Copied text comes from the focused field, or else from wherever the
+    // page selection starts
+    function getSelectionSource(e) {
+        if (isEditable(e.target)) return e.target;
+        return window.getSelection().anchorNode || e.target;
+    }
+    
+    // Selected or copied text, judged by the element it was taken from
+    function captureText(node, text, maxLength) {
+        return applyPolicy(text.substring(0, maxLength), getFieldPolicy(node));
+    }
+    
+    function isEditable(element) {
+        if (!element || !element.tagName) return false;
+        return ['input', 'textarea', 'select'].includes(element.tagName.toLowerCase()) ||
+            element.isContentEditable;
+    }
+    
+    // Keystrokes in fields would rebuild their content, so printable keys are
+    // masked there unless the field's policy is 'allow'. Named keys (Enter,
+    // Tab, arrows, Backspace) stay visible.
+    function captureKey(e) {
+        const masked = isEditable(e.target) &&
+            e.key && e.key.length === 1 &&
+            getFieldPolicy(e.target) !== 'allow';
+        
+        return {
+            key: masked ? '[MASKED]' : e.key,
+            code: masked ? undefined : e.code,
+            key_code: masked ? undefined : e.keyCode
+        };
+    }
+    
+    // ============================================
+    // OFFLINE PERSISTENCE
+    // ============================================
+    
+    const PERSISTENCE = {
+        backend: null,
+        ready: null,
+        chain: Promise.resolve(),   // storage operations run strictly in order
+        backlog: false,             // stored events that didn't fit in memory (drain or trim)
+        pendingIds: new Set(),      // ids currently held in TRANSPORT.queue or in flight
+        deliveredIds: new Set()     // ids delivered from this page, in case a delete didn't stick
+    };
+    
+    const DB_NAME = 'event-tracker';
+    const DB_STORE = 'events';
+    const LOCAL_QUEUE_KEY = '_et_queue';
+    
+    // Both backends store { seq, event_id, stored_at, payload } records and
+    // return them oldest first, so replay preserves the original order
+    const QUEUE_STORES = {
+        indexeddb: {
+            open: function() {
+                return new Promise(function(resolve, reject) {
+                    const request = indexedDB.open(DB_NAME, 1);
+                    request.onupgradeneeded = function() {
+                        const store = request.result.createObjectStore(DB_STORE, { keyPath: 'seq', autoIncrement: true });
+                        store.createIndex('event_id', 'event_id', { unique: true });
+                    };
+                    request.onsuccess = function() {
+                        QUEUE_STORES.indexeddb.db = request.result;
+                        resolve();
+                    };
+                    request.onerror = function() {
+                        reject(request.error);
+                    };
+                });
+            },
+            
+            transaction: function(mode, callback) {
+                const db = this.db;
+                return new Promise(function(resolve, reject) {
+                    const tx = db.transaction(DB_STORE, mode);
+                    const result = {};
+                    callback(tx.objectStore(DB_STORE), result);
+                    tx.oncomplete = function() {
+                        resolve(result.value);
+                    };
+                    tx.onerror = tx.onabort = function() {
+                        reject(tx.error);
+                    };
+                });
+            },
+            
+            put: function(record) {
+                return this.transaction('readwrite', function(store) {
+                    const request = store.add(record);
+                    // A duplicate event_id is already stored: ignore instead of aborting
+                    request.onerror = function(e) {
+                        e.preventDefault();
+                    };
+                    
+                    const countRequest = store.count();
+                    countRequest.onsuccess = function() {
+                        let excess = countRequest.result - CONFIG.maxStoredEvents;
+                        if (excess <= 0) return;
+                        store.openCursor().onsuccess = function(e) {
+                            const cursor = e.target.result;
+                            if (cursor && excess-- > 0) {
+                                cursor.delete();
+                                cursor.continue();
+                            }
+                        };
+                    };
+                });
+            },
+            
+            remove: function(ids) {
+                return this.transaction('readwrite', function(store) {
+                    const index = store.index('event_id');
+                    ids.forEach(function(id) {
+                        index.getKey(id).onsuccess = function(e) {
+                            if (e.target.result !== undefined) store.delete(e.target.result);
+                        };
+                    });
+                });
+            },
+            
+            getAll: function() {
+                return this.transaction('readonly', function(store, result) {
+                    store.getAll().onsuccess = function(e) {
+                        result.value = e.target.result;
+                    };
+                });
+            }
+        },
+        
+        localstorage: {
+            open: function() {
+                const probe = LOCAL_QUEUE_KEY + '_probe';
+                localStorage.setItem(probe, '1');
+                localStorage.removeItem(probe);
+                return Promise.resolve();
+            },
+            
+            read: function() {
+                try {
+                    return JSON.parse(localStorage.getItem(LOCAL_QUEUE_KEY)) || [];
+                } catch (e) {
+                    return [];
+                }
+            },
+            
+            write: function(records) {
+                let serialized = JSON.stringify(records);
+                while (records.length > 0 &&
+                    (records.length > CONFIG.maxStoredEvents || serialized.length > CONFIG.maxStoredBytes)) {
+                    records.shift();
+                    serialized = JSON.stringify(records);
+                }
+                
+                try {
+                    localStorage.setItem(LOCAL_QUEUE_KEY, serialized);
+                } catch (e) {
+                    // Quota exceeded: evict the oldest half and try once more
+                    records.splice(0, Math.ceil(records.length / 2));
+                    localStorage.setItem(LOCAL_QUEUE_KEY, JSON.stringify(records));
+                }
+            },
+            
+            put: function(record) {
+                const records = this.read();
+                if (records.some(function(r) { return r.event_id === record.event_id; })) {
+                    return Promise.resolve();
+                }
+                const last = records[records.length - 1];
+                record.seq = last ? last.seq + 1 : 1;
+                records.push(record);
+                this.write(records);
+                return Promise.resolve();
+            },
+            
+            remove: function(ids) {
+                const idSet = new Set(ids);
+                this.write(this.read().filter(function(r) {
+                    return !idSet.has(r.event_id);
+                }));
+                return Promise.resolve();
+            },
+            
+            getAll: function() {
+                return Promise.resolve(this.read());
+            }
+        }
+    };
+    
+    function openQueueStore() {
+        if (PERSISTENCE.ready) return PERSISTENCE.ready;
+        
+        const candidates = [];
+        if (window.indexedDB) candidates.push('indexeddb');
+        if (window.localStorage) candidates.push('localstorage');
+        
+        PERSISTENCE.ready = candidates.reduce(function(attempt, name) {
+            return attempt.catch(function() {
+                return QUEUE_STORES[name].open().then(function() {
+                    PERSISTENCE.backend = name;
+                });
+            });
+        }, Promise.reject(new Error('No storage available'))).catch(function() {
+            PERSISTENCE.backend = 'none';
+        });
+        
+        return PERSISTENCE.ready;
+    }
+    
+    function runStorageOperation(operation) {
+        if (!CONFIG.persistQueue) return Promise.resolve();
+        
+        PERSISTENCE.chain = PERSISTENCE.chain
+            .then(openQueueStore)
+            .then(function() {
+                const store = QUEUE_STORES[PERSISTENCE.backend];
+                return store ? operation(store) : undefined;
+            })
+            .catch(function(error) {
+                console.warn('EventTracker: offline queue error:', error && error.message);
+            });
+        
+        return PERSISTENCE.chain;
+    }
+    
+    function persistEvent(logData) {
+        return runStorageOperation(function(store) {
+            return store.put({
+                event_id: logData.event_id,
+                stored_at: Date.now(),
+                payload: JSON.stringify(logData)
+            });
+        });
+    }
+    
+    function removePersistedEvents(batch) {
+        const ids = batch.map(function(event) {
+            return event.event_id;
+        });
+        return runStorageOperation(function(store) {
+            return store.remove(ids);
+        });
+    }
+    
+    // Replays events left over from earlier page loads or an offline spell,
+    // oldest first, skipping anything this page already holds or delivered
+    function drainPersistedQueue() {
+        if (!isTransportEnabled()) return Promise.resolve();
+        
+        return runStorageOperation(function(store) {
+            return store.getAll();
+        }).then(function(records) {
+            if (!records || records.length === 0) return flushQueue();
+            
+            const replay = [];
+            records.forEach(function(record) {
+                if (PERSISTENCE.pendingIds.has(record.event_id) ||
+                    PERSISTENCE.deliveredIds.has(record.event_id)) return;
+                try {
+                    replay.push(JSON.parse(record.payload));
+                } catch (e) {
+                    // Corrupt record: it is removed with the next delivered batch
+                }
+            });
+            
+            const room = Math.max(CONFIG.maxQueueSize - TRANSPORT.queue.length, 0);
+            const accepted = replay.slice(0, room);
+            PERSISTENCE.backlog = replay.length > accepted.length;
+            accepted.forEach(function(event) {
+                PERSISTENCE.pendingIds.add(event.event_id);
+            });
+            TRANSPORT.queue.unshift(...accepted);
+            
+            return flushQueue();
+        });
+    }
+    
+    // ============================================
+    // TRANSPORT
+    // ============================================
+    
+    const TRANSPORT = {
+        queue: [],
+        flushTimer: null,
+        inFlight: null,             // Promise of the batch being sent; one at a time keeps order
+        backoff: false,             // a batch just failed; wait for the scheduled flush
+        sent: 0,
+        failed: 0,
+        dropped: 0
+    };
+    
+    // Each transport receives a batch of events and returns a Promise
+    // that resolves once the collector has accepted it
+    const TRANSPORTS = {
+        fetch: function(batch) {
+            return fetch(CONFIG.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(buildPayload(batch)),
+                credentials: 'omit'
+            }).then(function(response) {
+                if (!response.ok) {
+                    const error = new Error(`Collector responded with ${response.status}`);
+                    // Client errors won't succeed on retry, except timeouts and rate limits
+                    error.retryable = response.status >= 500 || [408, 429].includes(response.status);
+                    throw error;
+                }
+                return response;
+            });
+        }
+    };
+    
+    function buildPayload(batch) {
+        return {
+            sent_at: getTimestamp(),
+            events: batch
+        };
+    }
+    
+    function getTransport() {
+        if (typeof CONFIG.transport === 'function') return CONFIG.transport;
+        return TRANSPORTS[CONFIG.transport] || null;
+    }
+    
+    function isTransportEnabled() {
+        return typeof CONFIG.transport === 'function' || Boolean(CONFIG.endpoint && getTransport());
+    }
+    
+    function wait(ms) {
+        return new Promise(function(resolve) {
+            setTimeout(resolve, ms);
+        });
+    }
+    
+    function sendWithRetry(batch, attempt) {
+        return Promise.resolve()
+            .then(function() {
+                return getTransport()(batch);
+            })
+            .catch(function(error) {
+                if (error.retryable === false || attempt + 1 >= CONFIG.maxRetries) {
+                    throw error;
+                }
+                // Exponential backoff with jitter so tabs don't retry in lockstep
+                const delay = CONFIG.retryBaseDelay * Math.pow(2, attempt) * (1 + Math.random());
+                return wait(delay).then(function() {
+                    return sendWithRetry(batch, attempt + 1);
+                });
+            });
+    }
+    
+    function enqueueEvent(logData) {
+        if (!isTransportEnabled()) return;
+        
+        TRANSPORT.queue.push(logData);
+        PERSISTENCE.pendingIds.add(logData.event_id);
+        persistEvent(logData);
+        trimQueue();
+        
+        if (TRANSPORT.queue.length >= CONFIG.batchSize) {
+            flushQueue();
+        } else {
+            scheduleFlush();
+        }
+    }
+    
+    function hasQueueStore() {
+        return CONFIG.persistQueue && PERSISTENCE.backend !== 'none';
+    }
+    
+    // With storage, the newest events leave memory but stay stored and are
+    // replayed in order once the queue drains. Without it, the oldest are lost.
+    function trimQueue() {
+        const overflow = TRANSPORT.queue.length - CONFIG.maxQueueSize;
+        if (overflow <= 0) return;
+        
+        if (hasQueueStore()) {
+            TRANSPORT.queue.splice(CONFIG.maxQueueSize).forEach(function(event) {
+                PERSISTENCE.pendingIds.delete(event.event_id);
+            });
+            PERSISTENCE.backlog = true;
+            return;
+        }
+        
+        TRANSPORT.queue.splice(0, overflow).forEach(function(event) {
+            PERSISTENCE.pendingIds.delete(event.event_id);
+        });
+        TRANSPORT.dropped += overflow;
+        console.warn(`EventTracker: queue full, dropped ${overflow} oldest event(s)`);
+    }
+    
+    function markDelivered(batch) {
+        TRANSPORT.sent += batch.length;
+        batch.forEach(function(event) {
+            PERSISTENCE.pendingIds.delete(event.event_id);
+            PERSISTENCE.deliveredIds.add(event.event_id);
+        });
+        removePersistedEvents(batch);
+    }
+    
+    function scheduleFlush() {
+        if (TRANSPORT.flushTimer) return;
+        TRANSPORT.flushTimer = setTimeout(function() {
+            TRANSPORT.flushTimer = null;
+            TRANSPORT.backoff = false;
+            flushQueue();
+        }, CONFIG.flushInterval);
+    }
+    
+    // The collector refused the batch outright; sending it again can't help
+    function dropBatch(batch, error) {
+        TRANSPORT.failed += batch.length;
+        batch.forEach(function(event) {
+            PERSISTENCE.pendingIds.delete(event.event_id);
+        });
+        removePersistedEvents(batch);
+        console.warn(`EventTracker: batch of ${batch.length} rejected and dropped:`, error.message);
+    }
+    
+    function flushQueue() {
+        // Only the scheduled flush retries after a failure, never a new event
+        if (TRANSPORT.backoff) return TRANSPORT.inFlight || Promise.resolve();
+        
+        clearTimeout(TRANSPORT.flushTimer);
+        TRANSPORT.flushTimer = null;
+        
+        if (!isTransportEnabled() || TRANSPORT.queue.length === 0) {
+            return Promise.resolve();
+        }
+        
+        // Nothing will get through; events wait in storage for the online event
+        if (navigator.onLine === false) {
+            return Promise.resolve();
+        }
+        
+        // The batch in flight picks up whatever queued behind it when it settles
+        if (TRANSPORT.inFlight) return TRANSPORT.inFlight;
+        
+        const batch = TRANSPORT.queue.splice(0, CONFIG.batchSize);
+        
+        TRANSPORT.inFlight = sendWithRetry(batch, 0)
+            .then(function() {
+                markDelivered(batch);
+            }, function(error) {
+                if (error.retryable === false) {
+                    dropBatch(batch, error);
+                    return;
+                }
+                // Put the batch back in front so ordering survives the next attempt
+                TRANSPORT.queue.unshift(...batch);
+                trimQueue();
+                TRANSPORT.backoff = true;
+                clearTimeout(TRANSPORT.flushTimer);
+                TRANSPORT.flushTimer = null;
+                console.warn('EventTracker: delivery failed, batch re-queued:', error.message);
+            })
+            .then(function() {
+                TRANSPORT.inFlight = null;
+                if (TRANSPORT.backoff) {
+                    scheduleFlush();
+                    return;
+                }
+                if (TRANSPORT.queue.length >= CONFIG.batchSize) {
+                    return flushQueue();
+                }
+                if (TRANSPORT.queue.length === 0 && PERSISTENCE.backlog) {
+                    return drainPersistedQueue();
+                }
+                if (TRANSPORT.queue.length > 0) {
+                    scheduleFlush();
+                }
+            });
+        
+        return TRANSPORT.inFlight;
+    }
+    
+    // Called while the page is going away: fetch may be cancelled, so hand
+    // everything to sendBeacon (or a keepalive fetch) in size-limited chunks
+    function flushWithBeacon() {
+        clearTimeout(TRANSPORT.flushTimer);
+        TRANSPORT.flushTimer = null;
+        
+        if (!isTransportEnabled() || TRANSPORT.queue.length === 0) return;
+        
+        const events = TRANSPORT.queue.splice(0, TRANSPORT.queue.length);
+        
+        if (typeof CONFIG.transport === 'function') {
+            sendWithRetry(events, CONFIG.maxRetries - 1).then(function() {
+                markDelivered(events);
+            }, function() {});
+            return;
+        }
+        
+        let chunk = [];
+        let chunkBytes = 0;
+        events.forEach(function(event) {
+            const eventBytes = JSON.stringify(event).length;
+            if (chunk.length > 0 && chunkBytes + eventBytes > CONFIG.beaconMaxBytes) {
+                sendBeacon(chunk);
+                chunk = [];
+                chunkBytes = 0;
+            }
+            chunk.push(event);
+            chunkBytes += eventBytes;
+        });
+        if (chunk.length > 0) sendBeacon(chunk);
+    }
+    
+    // A beacon that was accepted may still be lost, and a storage delete
+    // started during unload may not finish; either way the events replay on
+    // the next load and the collector deduplicates them by event_id
+    function sendBeacon(batch) {
+        const body = JSON.stringify(buildPayload(batch));
+        
+        // text/plain keeps the beacon a CORS "simple" request (no preflight)
+        if (navigator.sendBeacon &&
+            navigator.sendBeacon(CONFIG.endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+            markDelivered(batch);
+            return;
+        }
+        
+        fetch(CONFIG.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            body: body,
+            keepalive: true,
+            credentials: 'omit'
+        }).then(function() {
+            markDelivered(batch);
+        }, function() {
+            TRANSPORT.failed += batch.length;
+        });
+    }
+    
+    // ============================================
+    // VISITOR & SESSION
+    // ============================================
+    
+    const VISITOR_KEY = '_et_vid';
+    const SESSION_KEY = '_et_sid';
+    
+    // Bursts of mouse and scroll events share one storage round-trip
+    const SESSION_SYNC_INTERVAL = 1000;
+    
+    // Events the tracker fires on its own (timers, observers, the browser,
+    // or derived from another event) don't keep a session alive or end idling
+    const PASSIVE_EVENTS = new Set([
+        'user_idle', 'session_start', 'session_end', 'heartbeat',
+        'performance', 'error', 'connection', 'view', 'view_end', 'media_ended',
+        'funnel_step', 'funnel_dropoff', 'goal_reached', 'page_exit'
+    ]);
+    
+    const IDENTITY = {
+        visitorId: null,
+        isNewVisitor: false,
+        session: null,
+        rotating: false,
+        syncedAt: 0             // last time the session was read from/written to storage
+    };
+    
+    function loadVisitorId() {
+        let visitorId = readPersisted(VISITOR_KEY);
+        if (!visitorId) {
+            visitorId = generateId();
+            IDENTITY.isNewVisitor = true;
+        }
+        // Rewrite on every load to extend the cookie lifetime
+        writePersisted(VISITOR_KEY, visitorId, CONFIG.visitorCookieDays);
+        return visitorId;
+    }
+    
+    function readSession() {
+        try {
+            return JSON.parse(readLocal(SESSION_KEY));
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // The record (with its page URLs) stays in localStorage; the cookie only
+    // carries the id so the server can join requests to the session
+    function saveSession() {
+        IDENTITY.syncedAt = Date.now();
+        writeLocal(SESSION_KEY, JSON.stringify(IDENTITY.session));
+        if (hasStorageConsent() && readCookie(SESSION_KEY) !== IDENTITY.session.id) {
+            writeCookie(SESSION_KEY, IDENTITY.session.id);
+        }
+    }
+    
+    function isSessionExpired(session) {
+        return !session || Date.now() - session.last_activity > CONFIG.sessionTimeout;
+    }
+    
+    function createSession() {
+        const now = Date.now();
+        return {
+            id: generateId(),
+            started_at: now,
+            last_activity: now,
+            page_count: 1,
+            event_count: 0,
+            entry_page: getPageUrl(),
+            current_page: getPageUrl(),
+            previous_page: getReferrer() || null
+        };
+    }
+    
+    // Ends the expired session (if any) and starts a fresh one. The
+    // session_end for a session that expired while no page was open is only
+    // known now, so it carries the session's own last activity as end time.
+    function rotateSession(previous, reason) {
+        IDENTITY.rotating = true;
+        
+        if (previous) {
+            IDENTITY.session = previous;
+            logEvent('session_end', 'session', document.body, {
+                reason: 'timeout',
+                ended_at: new Date(previous.last_activity).toISOString(),
+                session_duration_ms: previous.last_activity - previous.started_at,
+                page_count: previous.page_count,
+                event_count: previous.event_count,
+                entry_page: previous.entry_page,
+                exit_page: previous.exit_page || previous.current_page
+            });
+        }
+        
+        IDENTITY.session = createSession();
+        saveSession();
+        logEvent('session_start', 'session', document.body, {
+            reason: reason,
+            is_new_visitor: IDENTITY.isNewVisitor,
+            entry_page: IDENTITY.session.entry_page,
+            referrer: getReferrer()
+        });
+        
+        IDENTITY.rotating = false;
+    }
+    
+    function initSession() {
+        IDENTITY.visitorId = loadVisitorId();
+        
+        const stored = readSession();
+        if (isSessionExpired(stored)) {
+            rotateSession(stored, stored ? 'timeout' : 'new_session');
+            return;
+        }
+        
+        stored.page_count++;
+        stored.previous_page = stored.current_page;
+        delete stored.exit_page;
+        stored.current_page = getPageUrl();
+        stored.last_activity = Date.now();
+        IDENTITY.session = stored;
+        saveSession();
+    }
+    
+    // A route change in a single-page app counts as a new page of the session
+    function enterVirtualPage() {
+        const session = IDENTITY.session;
+        if (!session) return;
+        
+        session.page_count++;
+        session.previous_page = session.current_page;
+        session.current_page = getPageUrl();
+        saveSession();
+    }
+    
+    // Keeps the session alive, picking up changes other tabs made to it and
+    // starting a new one when this tab comes back after the timeout
+    function touchSession(eventType) {
+        if (!IDENTITY.session) return;
+        if (IDENTITY.rotating) {
+            IDENTITY.session.event_count++;
+            return;
+        }
+        
+        const sync = Date.now() - IDENTITY.syncedAt >= SESSION_SYNC_INTERVAL;
+        if (sync) {
+            const stored = readSession();
+            if (stored && stored.id !== IDENTITY.session.id && !isSessionExpired(stored)) {
+                stored.current_page = getPageUrl();
+                IDENTITY.session = stored;
+            }
+        }
+        
+        if (!PASSIVE_EVENTS.has(eventType) && isSessionExpired(IDENTITY.session)) {
+            const previous = IDENTITY.session;
+            rotateSession(previous, 'timeout');
+            IDENTITY.session.previous_page = previous.current_page;
+        }
+        
+        if (!PASSIVE_EVENTS.has(eventType)) {
+            IDENTITY.session.last_activity = Date.now();
+        }
+        IDENTITY.session.event_count++;
+        if (sync) saveSession();
+    }
+    
+    function getSessionInfo() {
+        const session = IDENTITY.session;
+        if (!session) return {};
+        
+        return {
+            page_sequence: session.page_count,
+            session_event_number: session.event_count,
+            session_duration_ms: Date.now() - session.started_at,
+            entry_page: session.entry_page,
+            is_entry_page: session.page_count === 1,
+            previous_page: session.previous_page
+        };
+    }
+    
+    // ============================================
+    // CONSENT
+    // ============================================
+    
+    const CONSENT_KEY = '_et_consent';
+    const CONSENT_CATEGORIES = ['interaction', 'performance', 'marketing'];
+    
+    // Event types default to 'interaction'. 'necessary' events are exempt from
+    // consent: consent decisions themselves have to be recorded for audits.
+    const EVENT_CATEGORIES = {
+        consent_update: 'necessary',
+        performance: 'performance',
+        error: 'performance'
+    };
+    
+    const CONSENT = {
+        state: {},          // category -> 'granted' | 'denied' | 'pending'
+        source: null,       // who decided: 'user', 'stored', a privacy signal or 'default'
+        decidedAt: null,
+        buffer: []          // events captured while their category is pending
+    };
+    
+    function getEventCategory(eventType) {
+        return EVENT_CATEGORIES[eventType] || 'interaction';
+    }
+    
+    function getConsentState(category) {
+        if (category === 'necessary') return 'granted';
+        return CONSENT.state[category] || 'pending';
+    }
+    
+    function hasStorageConsent() {
+        return CONSENT.state.interaction === 'granted';
     }
     
-    // SCROLL EVENTS (Throttled)
-    let scrollTimeout;
-    window.addEventListener('scroll', function() {
-        clearTimeout(scrollTimeout);
-        scrollTimeout = setTimeout(function() {
-            const scrollInfo = getScrollInfo();
-            STATE.scrollDepth = scrollInfo.scroll_percentage;
+    function getPrivacySignal() {
+        if (navigator.globalPrivacyControl === true) return 'global_privacy_control';
+        const dnt = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+        if (dnt === '1' || dnt === 'yes') return 'do_not_track';
+        return null;
+    }
+    
+    function readStoredConsent() {
+        try {
+            const stored = JSON.parse(readPersisted(CONSENT_KEY));
+            return stored && stored.version === CONFIG.consentVersion ? stored : null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // An explicit, stored decision wins over a browser privacy signal, which
+    // wins over the site default
+    function initConsent() {
+        const stored = readStoredConsent();
+        const signal = CONFIG.respectDoNotTrack ? getPrivacySignal() : null;
+        
+        CONSENT_CATEGORIES.forEach(function(category) {
+            if (stored && stored.categories[category]) {
+                CONSENT.state[category] = stored.categories[category];
+            } else if (signal) {
+                CONSENT.state[category] = 'denied';
+            } else {
+                CONSENT.state[category] = CONFIG.requireConsent ? 'pending' : 'granted';
+            }
+        });
+        
+        CONSENT.source = stored ? 'stored' : signal || 'default';
+        CONSENT.decidedAt = stored ? stored.decided_at : null;
+    }
+    
+    function storeConsent() {
+        const previous = readStoredConsent();
+        const history = previous && previous.history ? previous.history : [];
+        history.push({ categories: { ...CONSENT.state }, decided_at: CONSENT.decidedAt });
+        
+        writePersisted(CONSENT_KEY, JSON.stringify({
+            version: CONFIG.consentVersion,
+            categories: CONSENT.state,
+            decided_at: CONSENT.decidedAt,
+            history: history.slice(-10)
+        }), 365, true);
+    }
+    
+    function bufferForConsent(entry) {
+        CONSENT.buffer.push(entry);
+        if (CONSENT.buffer.length > CONFIG.maxConsentBuffer) {
+            CONSENT.buffer.shift();
+        }
+    }
+    
+    // Delivers buffered events whose category was granted, drops denied ones
+    // and keeps waiting on those still pending
+    function releaseConsentBuffer() {
+        const waiting = CONSENT.buffer.splice(0, CONSENT.buffer.length);
+        waiting.forEach(function(entry) {
+            const state = getConsentState(getEventCategory(entry.logData.type_of_event));
+            if (state === 'granted') {
+                deliverEvent(entry.logData, entry.element, entry.additionalInfo);
+            } else if (state === 'pending') {
+                CONSENT.buffer.push(entry);
+            }
+        });
+    }
+    
+    function updateConsent(categories, state) {
+        const targets = categories ? [].concat(categories) : CONSENT_CATEGORIES;
+        targets.forEach(function(category) {
+            if (!CONSENT_CATEGORIES.includes(category)) {
+                console.warn(`EventTracker: unknown consent category "${category}"`);
+                return;
+            }
+            CONSENT.state[category] = state;
+        });
+        
+        CONSENT.source = 'user';
+        CONSENT.decidedAt = getTimestamp();
+        storeConsent();
+        
+        // Identity cookies follow the interaction decision
+        if (hasStorageConsent()) {
+            writePersisted(VISITOR_KEY, IDENTITY.visitorId, CONFIG.visitorCookieDays);
+            if (IDENTITY.session) saveSession();
+        } else if (CONSENT.state.interaction === 'denied') {
+            removePersisted(VISITOR_KEY);
+            removePersisted(SESSION_KEY);
+            removeLocal(GOALS_KEY);
+        }
+        if (CONSENT.state.marketing === 'denied') {
+            removeLocal(FIRST_TOUCH_KEY);
+            removeLocal(LAST_TOUCH_KEY);
+            ATTRIBUTION.first = null;
+            ATTRIBUTION.last = null;
+        } else if (CONSENT.state.marketing === 'granted') {
+            // Touches captured while consent was pending only lived in memory
+            saveTouches();
+        }
+        
+        syncListeners();
+        releaseConsentBuffer();
+        
+        logEvent('consent_update', 'consent', document.body, {
+            consent: { ...CONSENT.state },
+            source: CONSENT.source,
+            consent_version: CONFIG.consentVersion,
+            privacy_signal: getPrivacySignal()
+        });
+    }
+    
+    // ============================================
+    // ATTRIBUTION
+    // ============================================
+    
+    // Every visit is a "touch" with a channel: paid_search, paid_social,
+    // display, search, social, email, affiliate, referral, campaign or direct.
+    // UTM parameters win over ad click ids, which win over the referrer.
+    // First touch is kept for as long as the visitor cookie; last touch is
+    // the latest that wasn't direct, so a typed-in return visit doesn't
+    // erase the campaign that brought the visitor.
+    const FIRST_TOUCH_KEY = '_et_ft';
+    const LAST_TOUCH_KEY = '_et_lt';
+    
+    const CLICK_IDS = {
+        gclid: { source: 'google', channel: 'paid_search' },
+        gbraid: { source: 'google', channel: 'paid_search' },
+        wbraid: { source: 'google', channel: 'paid_search' },
+        dclid: { source: 'google', channel: 'display' },
+        msclkid: { source: 'bing', channel: 'paid_search' },
+        yclid: { source: 'yandex', channel: 'paid_search' },
+        // Facebook adds fbclid to organic shares too
+        fbclid: { source: 'facebook', channel: 'social' },
+        ttclid: { source: 'tiktok', channel: 'paid_social' },
+        twclid: { source: 'twitter', channel: 'paid_social' },
+        li_fat_id: { source: 'linkedin', channel: 'paid_social' },
+        epik: { source: 'pinterest', channel: 'paid_social' }
+    };
+    
+    const REFERRER_CHANNELS = [
+        { channel: 'email', pattern: /(^|\.)(mail\.google\.com|outlook\.(live|office)\.com|mail\.yahoo\.com|mail\.proton\.me)$|^(web)?mail\./ },
+        { channel: 'search', pattern: /(^|\.)(google|bing|yahoo|duckduckgo|baidu|yandex|ecosia|qwant|startpage|naver)\.[a-z.]+$|^search\.brave\.com$/ },
+        { channel: 'social', pattern: /(^|\.)(facebook\.com|fb\.com|instagram\.com|linkedin\.com|lnkd\.in|twitter\.com|x\.com|t\.co|reddit\.com|pinterest\.[a-z.]+|tiktok\.com|youtube\.com|threads\.net|bsky\.app|mastodon\.social|news\.ycombinator\.com)$/ }
+    ];
+    
+    const MEDIUM_CHANNELS = [
+        { channel: 'email', pattern: /^(e-?mail|newsletter)$/ },
+        { channel: 'paid_social', pattern: /^(paid[-_ ]?social|social[-_ ]?paid)$/ },
+        { channel: 'paid_search', pattern: /^(cpc|ppc|paid[-_ ]?search|sem|paid)$/ },
+        { channel: 'display', pattern: /^(display|banner|cpm|programmatic)$/ },
+        { channel: 'social', pattern: /^(social|social[-_ ]?network|sm)$/ },
+        { channel: 'affiliate', pattern: /^affiliates?$/ },
+        { channel: 'referral', pattern: /^referral$/ }
+    ];
+    
+    // medium for touches without utm_medium
+    const DEFAULT_MEDIUMS = {
+        direct: '(none)',
+        search: 'organic',
+        social: 'social',
+        email: 'email',
+        paid_search: 'cpc',
+        paid_social: 'cpc',
+        display: 'display'
+    };
+    
+    const ATTRIBUTION = {
+        current: null,
+        first: null,
+        last: null
+    };
+    
+    function getHostname(url) {
+        try {
+            return new URL(url).hostname.toLowerCase();
+        } catch (e) {
+            return '';
+        }
+    }
+    
+    function isInternalHost(host) {
+        if (host === window.location.hostname) return true;
+        const domain = CONFIG.cookieDomain ? CONFIG.cookieDomain.replace(/^\./, '') : null;
+        return Boolean(domain && (host === domain || host.endsWith(`.${domain}`)));
+    }
+    
+    function classifyReferrer(host) {
+        if (!host) return 'direct';
+        if (isInternalHost(host)) return 'internal';
+        const match = REFERRER_CHANNELS.find(function(rule) {
+            return rule.pattern.test(host);
+        });
+        return match ? match.channel : 'referral';
+    }
+    
+    function getTouch(url, referrer) {
+        let params;
+        try {
+            params = new URL(url).searchParams;
+        } catch (e) {
+            params = new URLSearchParams();
+        }
+        
+        const utm = {};
+        ['source', 'medium', 'campaign', 'term', 'content', 'id'].forEach(function(key) {
+            const value = params.get(`utm_${key}`);
+            if (value) utm[key] = value.trim().substring(0, 200);
+        });
+        const clickIdName = Object.keys(CLICK_IDS).find(function(name) {
+            return params.has(name);
+        });
+        const referrerHost = getHostname(referrer);
+        const referrerChannel = classifyReferrer(referrerHost);
+        
+        let channel;
+        if (utm.medium) {
+            const medium = utm.medium.toLowerCase();
+            const match = MEDIUM_CHANNELS.find(function(rule) {
+                return rule.pattern.test(medium);
+            });
+            channel = match ? match.channel : 'campaign';
+            // "cpc" bought on a social network is paid social
+            if (channel === 'paid_search' && utm.source &&
+                classifyReferrer(`${utm.source.toLowerCase()}.com`) === 'social') {
+                channel = 'paid_social';
+            }
+        } else if (clickIdName) {
+            channel = CLICK_IDS[clickIdName].channel;
+        } else if (utm.source) {
+            const sourceChannel = classifyReferrer(`${utm.source.toLowerCase()}.com`);
+            channel = ['search', 'social', 'email'].includes(sourceChannel) ? sourceChannel : 'campaign';
+        } else {
+            channel = referrerChannel;
+        }
+        
+        return {
+            channel: channel,
+            source: utm.source || (clickIdName && CLICK_IDS[clickIdName].source) ||
+                (referrerChannel === 'direct' ? '(direct)' : referrerHost),
+            medium: utm.medium || DEFAULT_MEDIUMS[channel] || 'referral',
+            campaign: utm.campaign || null,
+            term: utm.term || null,
+            content: utm.content || null,
+            campaign_id: utm.id || null,
+            click_id: clickIdName ? { name: clickIdName, value: params.get(clickIdName).substring(0, 200) } : null,
+            referrer_host: referrerHost || null,
+            landing_page: stripTrackingParams(url),
+            timestamp: getTimestamp()
+        };
+    }
+    
+    function readTouch(key) {
+        try {
+            return JSON.parse(readLocal(key)) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    function saveTouches() {
+        if (getConsentState('marketing') !== 'granted') return;
+        if (ATTRIBUTION.first) {
+            writeLocal(FIRST_TOUCH_KEY, JSON.stringify(ATTRIBUTION.first));
+        }
+        if (ATTRIBUTION.last) {
+            writeLocal(LAST_TOUCH_KEY, JSON.stringify(ATTRIBUTION.last));
+        }
+    }
+    
+    // Moving between pages of this site isn't a new touch
+    function updateAttribution(url, referrer) {
+        const touch = getTouch(url, referrer);
+        if (touch.channel === 'internal') {
+            ATTRIBUTION.current = null;
+            return;
+        }
+        
+        ATTRIBUTION.current = touch;
+        if (!ATTRIBUTION.first) ATTRIBUTION.first = touch;
+        if (touch.channel !== 'direct' || !ATTRIBUTION.last) ATTRIBUTION.last = touch;
+        saveTouches();
+    }
+    
+    function initAttribution() {
+        ATTRIBUTION.first = readTouch(FIRST_TOUCH_KEY);
+        ATTRIBUTION.last = readTouch(LAST_TOUCH_KEY);
+        if (CONFIG.trackAttribution) {
+            updateAttribution(window.location.href, document.referrer);
+        }
+    }
+    
+    function getAttribution() {
+        return {
+            // This page's own touch; null when it was reached from within the site
+            current: ATTRIBUTION.current,
+            first_touch: ATTRIBUTION.first,
+            last_touch: ATTRIBUTION.last
+        };
+    }
+    
+    // ============================================
+    // LISTENER MANAGER
+    // ============================================
+    
+    // Every DOM listener and observer is registered here with a consent
+    // category and an optional group. A listener is attached only while the
+    // tracker is running, its category isn't denied and its group's CONFIG
+    // flag is on, and syncListeners() re-applies that after any change.
+    const LISTENER_GROUPS = {
+        keyboard: 'trackKeyboard',
+        mouse_movement: 'trackMouseMovement',
+        clipboard: 'trackClipboard',
+        visibility: 'trackVisibility',
+        performance: 'trackPerformance',
+        errors: 'trackErrors',
+        recording: 'recordSession',
+        frustration: 'trackFrustration',
+        forms: 'trackForms',
+        routes: 'trackRouteChanges',
+        gestures: 'trackGestures',
+        engagement: 'trackEngagement',
+        links: 'trackLinks'
+    };
+    
+    const MANAGER = {
+        entries: [],
+        currentGroup: null,
+        running: true,
+        destroyed: false
+    };
+    
+    function register(category, attach, detach) {
+        const entry = { category, group: MANAGER.currentGroup, attach, detach, attached: false };
+        MANAGER.entries.push(entry);
+        syncListener(entry);
+        return entry;
+    }
+    
+    function listen(category, target, type, handler, options) {
+        return register(category, function() {
+            target.addEventListener(type, handler, options);
+        }, function() {
+            target.removeEventListener(type, handler, options);
+        });
+    }
+    
+    // For observers and timers: start() and stop() are called like attach/detach
+    function control(category, controller) {
+        return register(category, controller.start, controller.stop);
+    }
+    
+    function listenerGroup(group, registerListeners) {
+        MANAGER.currentGroup = group;
+        try {
+            registerListeners();
+        } finally {
+            MANAGER.currentGroup = null;
+        }
+    }
+    
+    function isGroupEnabled(group) {
+        return !group || !LISTENER_GROUPS[group] || CONFIG[LISTENER_GROUPS[group]] !== false;
+    }
+    
+    function syncListener(entry) {
+        const allowed = MANAGER.running &&
+            isGroupEnabled(entry.group) &&
+            getConsentState(entry.category) !== 'denied';
+        
+        if (allowed && !entry.attached) {
+            entry.attach();
+            entry.attached = true;
+        } else if (!allowed && entry.attached) {
+            entry.detach();
+            entry.attached = false;
+        }
+    }
+    
+    function syncListeners() {
+        MANAGER.entries.forEach(syncListener);
+    }
+    
+    // Detach and re-attach so settings read at attach time are picked up
+    function restartGroup(group) {
+        MANAGER.entries.forEach(function(entry) {
+            if (entry.group !== group || !entry.attached) return;
+            entry.detach();
+            entry.attached = false;
+            syncListener(entry);
+        });
+    }
+    
+    function isEventTypeEnabled(eventType) {
+        return CONFIG.eventTypes[eventType] !== false;
+    }
+    
+    function getSampleRate(eventType) {
+        const rate = CONFIG.sampleRates[eventType];
+        return typeof rate === 'number' ? Math.min(Math.max(rate, 0), 1) : 1;
+    }
+    
+    function startTracking() {
+        if (MANAGER.destroyed) {
+            console.warn('EventTracker: destroyed trackers cannot be restarted');
+            return;
+        }
+        MANAGER.running = true;
+        syncListeners();
+    }
+    
+    function stopTracking() {
+        MANAGER.running = false;
+        syncListeners();
+    }
+    
+    function destroyTracking() {
+        stopTracking();
+        flushWithBeacon();
+        hideHeatmap();
+        hideDebugPanel();
+        MANAGER.destroyed = true;
+        MANAGER.entries.length = 0;
+        MIDDLEWARE.length = 0;
+        SUBSCRIBERS.clear();
+        CONSENT.buffer.length = 0;
+        clearTimeout(TRANSPORT.flushTimer);
+    }
+    
+    // ============================================
+    // EVENT SCHEMAS
+    // ============================================
+    
+    // Field specs: a type name, '?type' for optional/nullable fields, or a
+    // nested object of field specs. Extra fields are always allowed so
+    // middleware can enrich events. Bump a schema's version whenever its
+    // fields change; every record carries the version it was built against.
+    const COORDINATES = { x: 'number', y: 'number' };
+    const PAGE_COORDINATES = { x: 'number', y: 'number', pageX: 'number', pageY: 'number' };
+    const SIZE = { width: 'number', height: 'number' };
+    const MODIFIER_KEYS = {
+        ctrl_key: 'boolean',
+        shift_key: 'boolean',
+        alt_key: 'boolean',
+        meta_key: 'boolean'
+    };
+    const TEXT_CAPTURE = { text_length: 'integer', text_preview: '?string' };
+    const POINTER_FIELDS = {
+        pointer_type: 'string', pointer_id: 'integer', is_primary: 'boolean', coordinates: PAGE_COORDINATES,
+        pressure: 'number', contact_size: SIZE, button: 'integer'
+    };
+    const FORM_SUMMARY = {
+        form_id: 'string', duration_ms: 'number', field_order: 'array', fields: 'array',
+        last_field: '?string', submit_attempts: 'integer', validation_errors: 'integer'
+    };
+    
+    const BASE_SCHEMA = {
+        event_id: 'string',
+        event_number: 'integer',
+        timestamp: 'string',
+        relative_time_ms: 'number',
+        type_of_event: 'string',
+        event_object: 'string',
+        schema_version: 'integer',
+        element_identifier: 'string',
+        element_tag: 'string',
+        element_path: 'string',
+        element_selector: 'string',
+        element_fingerprint: 'string',
+        visitor_id: '?string',
+        session_id: '?string',
+        sample_rate: '?number',
+        attribution: '?object',
+        session_info: {
+            time_on_page_ms: 'number',
+            engaged_time_ms: 'number',
+            total_events: 'integer',
+            max_scroll_depth: 'number'
+        }
+    };
+    
+    const EVENT_SCHEMAS = {
+        page_view: { version: 2, fields: {
+            url: 'string', title: 'string', referrer: 'string',
+            viewport: SIZE, screen: SIZE, userAgent: 'string', language: 'string',
+            navigation_type: 'string', previous_url: '?string', previous_route_time_ms: '?number'
+        } },
+        page_exit: { version: 3, fields: {
+            exit_page: 'string', time_on_page: 'number', route_time_ms: 'number',
+            total_events: 'integer', max_scroll_depth: 'number',
+            engaged_time_ms: 'number', attention_score: 'integer', sections: 'array'
+        } },
+        click: { version: 2, fields: {
+            coordinates: PAGE_COORDINATES, element_offset: '?object', button: 'integer', buttons: 'integer', detail: 'integer', ...MODIFIER_KEYS
+        } },
+        double_click: { version: 1, fields: { coordinates: COORDINATES } },
+        right_click: { version: 1, fields: { coordinates: COORDINATES } },
+        change: { version: 1, fields: {
+            value: '?string', checked: '?boolean', selected_index: '?integer', selected_options: '?array'
+        } },
+        input: { version: 1, fields: { value_length: 'integer', input_type: '?string' } },
+        focus: { version: 1, fields: {} },
+        blur: { version: 1, fields: {} },
+        submit: { version: 2, fields: { action: 'string', method: 'string', form_data_count: 'integer' } },
+        keyboard: { version: 1, fields: {
+            key: 'string', code: '?string', key_code: '?integer', repeat: '?boolean',
+            ctrl_key: '?boolean', shift_key: '?boolean', alt_key: '?boolean', meta_key: '?boolean'
+        } },
+        scroll: { version: 1, fields: {
+            scroll_x: 'number', scroll_y: 'number', scroll_percentage: 'number',
+            scroll_height: 'number', viewport_height: 'number'
+        } },
+        mouse_move: { version: 1, fields: {
+            coordinates: COORDINATES, movement: { x: '?number', y: '?number' }, buttons: 'integer'
+        } },
+        mouse_enter: { version: 1, fields: {} },
+        mouse_leave: { version: 1, fields: {} },
+        copy: { version: 1, fields: TEXT_CAPTURE },
+        cut: { version: 1, fields: TEXT_CAPTURE },
+        paste: { version: 1, fields: { element_type: 'string' } },
+        text_selection: { version: 2, fields: TEXT_CAPTURE },
+        resize: { version: 1, fields: { viewport: SIZE, orientation: 'string' } },
+        visibility_change: { version: 1, fields: { visibility_state: 'string', hidden: 'boolean' } },
+        connection: { version: 1, fields: {} },
+        media_play: { version: 1, fields: { current_time: 'number', duration: 'number', src: 'string' } },
+        media_pause: { version: 1, fields: { current_time: 'number', duration: 'number' } },
+        media_ended: { version: 1, fields: {} },
+        drag_start: { version: 1, fields: {} },
+        drag_end: { version: 1, fields: {} },
+        drop: { version: 1, fields: { files_count: 'integer', types: 'array' } },
+        view: { version: 2, fields: {
+            visibility_ratio: 'string', bounding_rect: 'object', view_count: 'integer', first_view: 'boolean'
+        } },
+        view_end: { version: 1, fields: {
+            dwell_ms: 'number', total_dwell_ms: 'number', view_count: 'integer', exit_reason: 'string'
+        } },
+        user_idle: { version: 1, fields: { idle_timeout_ms: 'number', last_activity: 'string' } },
+        user_active: { version: 1, fields: { idle_duration_ms: 'number' } },
+        session_start: { version: 1, fields: {
+            reason: 'string', is_new_visitor: 'boolean', entry_page: 'string', referrer: 'string'
+        } },
+        session_end: { version: 1, fields: {
+            reason: 'string', ended_at: 'string', session_duration_ms: 'number', page_count: 'integer',
+            event_count: 'integer', entry_page: 'string', exit_page: 'string'
+        } },
+        consent_update: { version: 1, fields: {
+            consent: 'object', source: 'string', consent_version: 'integer', privacy_signal: '?string'
+        } },
+        performance: { version: 1, fields: {
+            metric: 'string', value: 'number', unit: 'string', rating: '?string'
+        } },
+        error: { version: 1, fields: {
+            message: 'string', error_name: '?string', fingerprint: 'string', frames: 'array',
+            occurrences: 'integer', breadcrumbs: 'array'
+        } },
+        rage_click: { version: 1, fields: {
+            coordinates: COORDINATES, click_count: 'integer', duration_ms: 'number'
+        } },
+        dead_click: { version: 1, fields: { coordinates: COORDINATES, wait_ms: 'number' } },
+        error_click: { version: 1, fields: {
+            coordinates: COORDINATES, error_message: 'string', error_fingerprint: 'string', delay_ms: 'number'
+        } },
+        mouse_thrash: { version: 1, fields: {
+            direction_changes: 'integer', distance_px: 'number', duration_ms: 'number'
+        } },
+        pointer_down: { version: 1, fields: POINTER_FIELDS },
+        pointer_up: { version: 1, fields: { ...POINTER_FIELDS, duration_ms: 'number' } },
+        tap: { version: 1, fields: { pointer_type: 'string', coordinates: COORDINATES, duration_ms: 'number' } },
+        long_press: { version: 1, fields: { pointer_type: 'string', coordinates: COORDINATES, duration_ms: 'number' } },
+        swipe: { version: 1, fields: {
+            pointer_type: 'string', direction: 'string', distance_px: 'number', duration_ms: 'number',
+            velocity_px_ms: 'number', start: COORDINATES, end: COORDINATES
+        } },
+        pinch: { version: 1, fields: {
+            direction: 'string', scale: 'number', duration_ms: 'number', center: COORDINATES
+        } },
+        heartbeat: { version: 1, fields: {
+            engaged_time_ms: 'number', engaged_since_last_ms: 'number', attention_score: 'integer',
+            sections: 'array', visible_sections: 'array'
+        } },
+        link_click: { version: 1, fields: {
+            link_type: 'string', href: 'string', link_domain: '?string', target: '?string',
+            link_text: '?string', file_extension: '?string', opens_new_tab: 'boolean'
+        } },
+        funnel_step: { version: 1, fields: {
+            funnel: 'string', step_index: 'integer', step: 'string', step_count: 'integer',
+            time_since_previous_ms: '?number', time_since_start_ms: 'number'
+        } },
+        goal_reached: { version: 1, fields: {
+            goal: 'string', step_count: 'integer', total_time_ms: 'number', step_durations_ms: 'array'
+        } },
+        funnel_dropoff: { version: 1, fields: {
+            funnel: 'string', steps_completed: 'integer', last_step: 'string', step_count: 'integer',
+            time_since_last_step_ms: 'number', total_time_ms: 'number'
+        } },
+        orientation_change: { version: 1, fields: { orientation: 'string', angle: 'number', viewport: SIZE } },
+        form_start: { version: 1, fields: { form_id: 'string', first_field: 'string' } },
+        form_invalid: { version: 1, fields: {
+            form_id: 'string', field: 'string', validation_message: '?string', validity: 'array'
+        } },
+        form_submit: { version: 1, fields: FORM_SUMMARY },
+        form_abandon: { version: 1, fields: FORM_SUMMARY }
+    };
+    
+    // Named events from data-track attributes share one schema
+    const DATA_TRACK_SCHEMA = { version: 1, fields: { track_trigger: 'string', track_props: 'object' } };
+    
+    // logCustomEvent and other unknown types only have to satisfy the base
+    const CUSTOM_SCHEMA = { version: 1, fields: {} };
+    
+    const QUARANTINE = [];
+    const reportedSchemaErrors = new Set();
+    
+    function getEventSchema(eventType, eventObject) {
+        // Declarative names are author-chosen and may reuse built-in ones
+        if (eventObject === 'data_track') return DATA_TRACK_SCHEMA;
+        if (EVENT_SCHEMAS[eventType]) return EVENT_SCHEMAS[eventType];
+        return CUSTOM_SCHEMA;
+    }
+    
+    function matchesType(value, type) {
+        switch (type) {
+            case 'any': return true;
+            case 'string': return typeof value === 'string';
+            case 'number': return typeof value === 'number';
+            case 'integer': return Number.isInteger(value);
+            case 'boolean': return typeof value === 'boolean';
+            case 'array': return Array.isArray(value);
+            case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+            default: return false;
+        }
+    }
+    
+    function validateFields(record, fields, path, errors) {
+        Object.keys(fields).forEach(function(key) {
+            const spec = fields[key];
+            const value = record ? record[key] : undefined;
+            const fieldPath = path ? `${path}.${key}` : key;
+            
+            if (typeof spec === 'object') {
+                if (!matchesType(value, 'object')) {
+                    errors.push(`${fieldPath} should be an object`);
+                    return;
+                }
+                validateFields(value, spec, fieldPath, errors);
+                return;
+            }
+            
+            const optional = spec.charAt(0) === '?';
+            const type = optional ? spec.slice(1) : spec;
+            if (value === undefined || value === null) {
+                if (!optional) errors.push(`${fieldPath} is required`);
+                return;
+            }
+            if (!matchesType(value, type)) {
+                errors.push(`${fieldPath} should be ${type}, got ${Array.isArray(value) ? 'array' : typeof value}`);
+            }
+        });
+        return errors;
+    }
+    
+    function validateEvent(logData) {
+        const schema = getEventSchema(logData.type_of_event, logData.event_object);
+        const errors = validateFields(logData, BASE_SCHEMA, '', []);
+        return validateFields(logData, schema.fields, '', errors);
+    }
+    
+    function isDevelopment() {
+        if (CONFIG.environment !== 'auto') return CONFIG.environment === 'development';
+        return ['localhost', '127.0.0.1', '[::1]', ''].includes(window.location.hostname);
+    }
+    
+    // Returns false when the event must not be delivered
+    function enforceSchema(logData) {
+        const errors = validateEvent(logData);
+        if (errors.length === 0) return true;
+        
+        if (isDevelopment()) {
+            const signature = `${logData.type_of_event}: ${errors.join(', ')}`;
+            if (!reportedSchemaErrors.has(signature)) {
+                reportedSchemaErrors.add(signature);
+                console.warn(`EventTracker: "${logData.type_of_event}" event doesn't match its schema:`, errors, logData);
+            }
+            return true;
+        }
+        
+        if (CONFIG.invalidEventPolicy === 'quarantine') {
+            QUARANTINE.push({ event: logData, errors: errors, quarantined_at: getTimestamp() });
+            if (QUARANTINE.length > CONFIG.maxQuarantine) QUARANTINE.shift();
+        }
+        return false;
+    }
+    
+    function fieldToJsonSchema(spec) {
+        if (typeof spec === 'object') {
+            return {
+                type: 'object',
+                properties: fieldsToJsonProperties(spec),
+                required: Object.keys(spec).filter(function(key) {
+                    return typeof spec[key] === 'object' || spec[key].charAt(0) !== '?';
+                })
+            };
+        }
+        
+        const optional = spec.charAt(0) === '?';
+        const type = optional ? spec.slice(1) : spec;
+        if (type === 'any') return {};
+        return { type: optional ? [type, 'null'] : type };
+    }
+    
+    function fieldsToJsonProperties(fields) {
+        const properties = {};
+        Object.keys(fields).forEach(function(key) {
+            properties[key] = fieldToJsonSchema(fields[key]);
+        });
+        return properties;
+    }
+    
+    function toJsonSchema(eventType, schema) {
+        const fields = { ...BASE_SCHEMA, ...schema.fields };
+        const jsonSchema = fieldToJsonSchema(fields);
+        
+        return {
+            $schema: 'https://json-schema.org/draft/2020-12/schema',
+            $id: `event-tracker/${eventType}/v${schema.version}`,
+            title: eventType,
+            type: 'object',
+            properties: {
+                ...jsonSchema.properties,
+                // Custom and data-track events use their own name as the type
+                type_of_event: EVENT_SCHEMAS[eventType] ? { const: eventType } : { type: 'string' },
+                schema_version: { const: schema.version }
+            },
+            required: jsonSchema.required,
+            additionalProperties: true
+        };
+    }
+    
+    function getJsonSchemas() {
+        const schemas = {};
+        Object.keys(EVENT_SCHEMAS).forEach(function(eventType) {
+            schemas[eventType] = toJsonSchema(eventType, EVENT_SCHEMAS[eventType]);
+        });
+        schemas.data_track = toJsonSchema('data_track', DATA_TRACK_SCHEMA);
+        schemas.custom = toJsonSchema('custom', CUSTOM_SCHEMA);
+        return schemas;
+    }
+    
+    // ============================================
+    // MIDDLEWARE & SUBSCRIPTIONS
+    // ============================================
+    
+    // Middleware runs on every event before redaction and validation:
+    //   EventTracker.use(function(event, context) {
+    //       event.ab_variant = 'B';             // enrich (mutate, or return a new object)
+    //       if (event.type_of_event === 'mouse_move') return null;   // drop
+    //       return event;
+    //   });
+    // Returning undefined keeps the (possibly mutated) event.
+    const MIDDLEWARE = [];
+    const SUBSCRIBERS = new Map();  // type_of_event (or '*') -> Set of handlers
+    
+    function removeFrom(list, item) {
+        const index = list.indexOf(item);
+        if (index !== -1) list.splice(index, 1);
+    }
+    
+    function runMiddleware(logData, element) {
+        const originalType = logData.type_of_event;
+        let current = logData;
+        
+        for (let i = 0; i < MIDDLEWARE.length; i++) {
+            try {
+                const result = MIDDLEWARE[i](current, { element: element, original_type: originalType });
+                if (result === null || result === false) return null;
+                if (result && typeof result === 'object') current = result;
+            } catch (error) {
+                // A broken plugin shouldn't stop tracking: skip it for this event
+                console.warn('EventTracker: middleware threw, skipping it:', error);
+            }
+        }
+        
+        if (current.type_of_event !== originalType) {
+            current.schema_version = getEventSchema(current.type_of_event, current.event_object).version;
+        }
+        return current;
+    }
+    
+    function subscribe(eventType, handler) {
+        if (!SUBSCRIBERS.has(eventType)) SUBSCRIBERS.set(eventType, new Set());
+        SUBSCRIBERS.get(eventType).add(handler);
+        return function() {
+            unsubscribe(eventType, handler);
+        };
+    }
+    
+    function unsubscribe(eventType, handler) {
+        const handlers = SUBSCRIBERS.get(eventType);
+        if (handlers) handlers.delete(handler);
+    }
+    
+    function notifySubscribers(logData, element) {
+        [logData.type_of_event, '*'].forEach(function(key) {
+            const handlers = SUBSCRIBERS.get(key);
+            if (!handlers) return;
+            handlers.forEach(function(handler) {
+                try {
+                    handler(logData, element);
+                } catch (error) {
+                    console.warn(`EventTracker: "${key}" subscriber threw:`, error);
+                }
+            });
+        });
+    }
+    
+    // ============================================
+    // LOGGING FUNCTION
+    // ============================================
+    
+    function logEvent(eventType, eventObject, element, additionalInfo = {}) {
+        // data-track-ignore (or an 'ignore' field policy) opts an element
+        // and its subtree out of every listener
+        if (element && getFieldPolicy(element) === 'ignore') return null;
+        
+        const category = getEventCategory(eventType);
+        const consent = getConsentState(category);
+        if (!MANAGER.running || consent === 'denied') return null;
+        
+        // Consent decisions are always recorded, whatever the filters say
+        const sampleRate = category === 'necessary' ? 1 : getSampleRate(eventType);
+        if (category !== 'necessary' && !isEventTypeEnabled(eventType)) return null;
+        if (Math.random() >= sampleRate) return null;
+        
+        touchSession(eventType);
+        
+        STATE.eventCount++;
+        // Idle state belongs to the activity listeners; timer-driven events
+        // must not count as the user coming back
+        if (!PASSIVE_EVENTS.has(eventType)) STATE.lastActivity = new Date();
+        
+        const baseData = {
+            event_id: generateId(),
+            event_number: STATE.eventCount,
+            timestamp: getTimestamp(),
+            relative_time_ms: getRelativeTime(),
+            type_of_event: eventType,
+            event_object: eventObject,
+            schema_version: getEventSchema(eventType, eventObject).version,
+            element_identifier: element ? getElementIdentifier(element, isPrivateElement(element)) : 'N/A',
+            element_tag: element ? element.tagName.toLowerCase() : 'N/A',
+            element_path: element ? getElementPath(element) : 'N/A',
+            element_selector: getElementSelector(element),
+            element_fingerprint: getElementFingerprint(element),
+            visitor_id: IDENTITY.visitorId,
+            session_id: IDENTITY.session ? IDENTITY.session.id : null,
+            session_info: {
+                time_on_page_ms: Date.now() - STATE.sessionStart.getTime(),
+                engaged_time_ms: getEngagedTime(),
+                total_events: STATE.eventCount,
+                max_scroll_depth: STATE.maxScrollDepth,
+                ...getSessionInfo()
+            },
+            ...additionalInfo
+        };
+        
+        // Lets the warehouse scale sampled event types back up
+        if (sampleRate < 1) baseData.sample_rate = sampleRate;
+        
+        if (CONFIG.trackAttribution && CONFIG.attributedEvents.includes(eventType) &&
+            getConsentState('marketing') === 'granted') {
+            baseData.attribution = getAttribution();
+        }
+        
+        let logData = runMiddleware(baseData, element);
+        if (!logData) return null;
+        
+        // Middleware may have renamed the event into another consent category
+        const finalConsent = getConsentState(getEventCategory(logData.type_of_event));
+        if (finalConsent === 'denied') return null;
+        
+        if (CONFIG.redactPatterns) {
+            logData = redactRecord(logData);
+        }
+        
+        if (!enforceSchema(logData)) return null;
+        
+        if (finalConsent === 'pending') {
+            bufferForConsent({ logData, element, additionalInfo });
+            return logData;
+        }
+        
+        deliverEvent(logData, element, additionalInfo);
+        
+        return logData;
+    }
+    
+    // Shared by the console output and the debug panel
+    const EVENT_COLORS = {
+        click: '#667eea',
+        view: '#4caf50',
+        scroll: '#2196f3',
+        page_view: '#9c27b0',
+        mouse_move: '#ff9800',
+        keyboard: '#f44336',
+        change: '#00bcd4',
+        submit: '#e91e63',
+        copy: '#795548',
+        paste: '#607d8b',
+        resize: '#3f51b5',
+        visibility_change: '#cddc39',
+        idle: '#9e9e9e'
+    };
+    
+    function getEventColor(eventType) {
+        return EVENT_COLORS[eventType] || '#666';
+    }
+    
+    function deliverEvent(logData, element, additionalInfo) {
+        printEvent(logData, element, additionalInfo);
+        storeEvent(logData, element);
+        notifySubscribers(logData, element);
+        enqueueEvent(logData);
+    }
+    
+    // Styled console output
+    function printEvent(logData, element, additionalInfo) {
+        const eventType = logData.type_of_event;
+        const color = getEventColor(eventType);
+        
+        if (CONFIG.logLevel === 'silent') return;
+        if (CONFIG.logLevel === 'summary') {
+            console.log(`%c🎯 #${logData.event_number} ${eventType}`,
+                `color: ${color}; font-weight: bold;`, logData.element_identifier);
+            return;
+        }
+        
+        console.group(`%c🎯 Event #${logData.event_number}: ${eventType.toUpperCase()}`, 
+            `color: white; background: ${color}; padding: 4px 8px; border-radius: 4px; font-weight: bold;`);
+        console.log('%cTimestamp:', 'font-weight: bold; color: #2196f3;', logData.timestamp);
+        console.log('%cEvent Type:', 'font-weight: bold; color: #4caf50;', logData.type_of_event);
+        console.log('%cEvent Object:', 'font-weight: bold; color: #ff9800;', logData.event_object);
+        
+        if (element) {
+            console.log('%cElement:', 'font-weight: bold; color: #9c27b0;', logData.element_identifier);
+            console.log('%cElement Path:', 'font-weight: bold; color: #795548;', logData.element_path);
+        }
+        
+        if (Object.keys(additionalInfo).length > 0) {
+            console.log('%cAdditional Info:', 'font-weight: bold; color: #f44336;', additionalInfo);
+        }
+        
+        console.log('%cFull Event Data:', 'font-weight: bold; color: #607d8b;', logData);
+        console.groupEnd();
+    }
+    
+    // ============================================
+    // DECLARATIVE TRACKING (data-track)
+    // ============================================
+    
+    // <button data-track="signup_cta"
+    //         data-track-props='{"plan":"pro"}'
+    //         data-track-on="click,view">
+    //
+    // Descendants inherit the nearest data-track; data-track-props are merged
+    // from every ancestor (closest wins) and data-track-on defaults to click.
+    const TRACK_TRIGGERS = ['click', 'view', 'hover', 'focus', 'change', 'submit'];
+    const invalidTrackProps = new WeakSet();
+    
+    function getTrackTriggers(element) {
+        const source = closestElement(element, '[data-track-on]');
+        const value = source ? source.getAttribute('data-track-on') : 'click';
+        return value.split(',').map(function(trigger) {
+            return trigger.trim().toLowerCase();
+        }).filter(function(trigger) {
+            return TRACK_TRIGGERS.includes(trigger);
+        });
+    }
+    
+    function getTrackProps(element) {
+        const chain = [];
+        let current = element;
+        while (current && current.nodeType === 1) {
+            if (current.hasAttribute('data-track-props')) chain.unshift(current);
+            current = current.parentElement;
+        }
+        
+        return chain.reduce(function(props, el) {
+            try {
+                return { ...props, ...JSON.parse(el.getAttribute('data-track-props')) };
+            } catch (e) {
+                if (!invalidTrackProps.has(el)) {
+                    invalidTrackProps.add(el);
+                    console.warn('EventTracker: invalid JSON in data-track-props on', getElementPath(el));
+                }
+                return props;
+            }
+        }, {});
+    }
+    
+    // Nearest data-track ancestor that handles this trigger
+    function findTrackSpec(node, trigger) {
+        let candidate = closestElement(node, '[data-track]');
+        while (candidate) {
+            const name = candidate.getAttribute('data-track').trim();
+            if (name && getTrackTriggers(candidate).includes(trigger)) {
+                return { name, element: candidate };
+            }
+            candidate = candidate.parentElement ? candidate.parentElement.closest('[data-track]') : null;
+        }
+        return null;
+    }
+    
+    function trackDeclarative(trigger, node) {
+        const spec = findTrackSpec(node, trigger);
+        if (!spec) return null;
+        
+        return logEvent(spec.name, 'data_track', spec.element, {
+            track_trigger: trigger,
+            track_props: getTrackProps(spec.element)
+        });
+    }
+    
+    // ============================================
+    // SESSION RECORDING
+    // ============================================
+    
+    // A recording is a list of frames, each stamped with relative_time_ms:
+    //   snapshot  - the full serialized DOM (first frame, and after every restart)
+    //   mutation  - nodes added/removed, attribute and text changes
+    //   mouse / click / scroll / viewport / input - taken from tracked events
+    // replay.html loads the exported JSON and plays it back.
+    const RECORDING_VERSION = 1;
+    const URL_ATTRIBUTES = ['src', 'href', 'poster', 'action'];
+    
+    const RECORDING = {
+        frames: [],
+        nodeIds: new WeakMap(),
+        nextNodeId: 1,
+        observer: null,
+        startedAt: null,
+        truncated: false
+    };
+    
+    function getNodeId(node) {
+        let id = RECORDING.nodeIds.get(node);
+        if (id === undefined) {
+            id = RECORDING.nextNodeId++;
+            RECORDING.nodeIds.set(node, id);
+        }
+        return id;
+    }
+    
+    function getKnownNodeId(node) {
+        return node ? RECORDING.nodeIds.get(node) || null : null;
+    }
+    
+    function pushRecordingFrame(frame) {
+        if (RECORDING.frames.length >= CONFIG.maxRecordingFrames) {
+            if (!RECORDING.truncated) {
+                RECORDING.truncated = true;
+                console.warn('EventTracker: recording reached maxRecordingFrames, later changes are not recorded');
+            }
+            return;
+        }
+        RECORDING.frames.push({ t: frame.t === undefined ? getRelativeTime() : frame.t, ...frame });
+    }
+    
+    // The tracker's own overlays are never part of the page
+    function isTrackerUi(element) {
+        return element.hasAttribute('data-tracker-ui');
+    }
+    
+    function recordAttributeValue(element, name, value) {
+        if (name === 'value' && ['input', 'textarea', 'select', 'option'].includes(element.tagName.toLowerCase())) {
+            return captureValue(element, value);
+        }
+        if (URL_ATTRIBUTES.includes(name) && value) {
+            try {
+                return new URL(value, document.baseURI).href;
+            } catch (e) {
+                return value;
+            }
+        }
+        return value;
+    }
+    
+    function serializeNode(node) {
+        if (node.nodeType === 3) {
+            const parent = node.parentElement;
+            if (parent && ['script', 'noscript'].includes(parent.tagName.toLowerCase())) return null;
+            const text = isPrivateElement(parent)
+                ? node.textContent.replace(/\S/g, '*')
+                : node.textContent;
+            return { id: getNodeId(node), type: 3, text: text };
+        }
+        
+        if (node.nodeType !== 1) return null;
+        
+        const tag = node.tagName.toLowerCase();
+        if (tag === 'script' || tag === 'noscript' || isTrackerUi(node)) return null;
+        
+        // Ignored subtrees become empty boxes of the same size
+        if (node.hasAttribute('data-track-ignore')) {
+            const rect = node.getBoundingClientRect();
+            return {
+                id: getNodeId(node),
+                type: 1,
+                tag: 'div',
+                attributes: {
+                    'data-blocked': '',
+                    style: `width:${rect.width}px;height:${rect.height}px;background:#ddd;`
+                },
+                children: []
+            };
+        }
+        
+        const attributes = {};
+        Array.from(node.attributes).forEach(function(attr) {
+            // Inline handlers must not run in the player
+            if (attr.name.indexOf('on') === 0) return;
+            attributes[attr.name] = recordAttributeValue(node, attr.name, attr.value);
+        });
+        
+        const serialized = {
+            id: getNodeId(node),
+            type: 1,
+            tag: tag,
+            attributes: attributes,
+            children: []
+        };
+        
+        if (node.namespaceURI === 'http://www.w3.org/2000/svg') serialized.svg = true;
+        if (['input', 'textarea', 'select'].includes(tag)) {
+            const value = captureValue(node, node.value);
+            if (value !== undefined) serialized.value = value;
+            if (node.checked) serialized.checked = true;
+        }
+        
+        node.childNodes.forEach(function(child) {
+            const serializedChild = serializeNode(child);
+            if (serializedChild) serialized.children.push(serializedChild);
+        });
+        
+        return serialized;
+    }
+    
+    function takeSnapshot() {
+        pushRecordingFrame({
+            type: 'snapshot',
+            url: getPageUrl(),
+            viewport: { width: window.innerWidth, height: window.innerHeight },
+            scroll: { x: window.pageXOffset, y: window.pageYOffset },
+            node: serializeNode(document.documentElement)
+        });
+    }
+    
+    function isRecordedNode(node) {
+        let current = node.nodeType === 1 ? node : node.parentElement;
+        while (current) {
+            if (current.tagName.toLowerCase() === 'script' || isTrackerUi(current)) return false;
+            current = current.parentElement;
+        }
+        return true;
+    }
+    
+    function handleMutations(mutations) {
+        const frame = { type: 'mutation', adds: [], removes: [], attributes: [], texts: [] };
+        const added = new Set();
+        
+        mutations.forEach(function(mutation) {
+            if (mutation.type === 'childList') {
+                mutation.addedNodes.forEach(function(node) {
+                    added.add(node);
+                });
+            }
+        });
+        
+        mutations.forEach(function(mutation) {
+            const target = mutation.target;
+            if (!isRecordedNode(target)) return;
+            const targetId = getKnownNodeId(target);
+            if (!targetId) return;
+            
+            if (mutation.type === 'childList') {
+                mutation.removedNodes.forEach(function(node) {
+                    const id = getKnownNodeId(node);
+                    if (id) frame.removes.push({ parent_id: targetId, id: id });
+                });
+                
+                // Reverse order so each node's next sibling already has an id
+                Array.from(mutation.addedNodes).reverse().forEach(function(node) {
+                    if (node.parentNode !== target || !isRecordedNode(node)) return;
+                    // Inside another node added in this batch: serialized with it
+                    for (let parent = node.parentNode; parent; parent = parent.parentNode) {
+                        if (added.has(parent)) return;
+                    }
+                    const serialized = serializeNode(node);
+                    if (!serialized) return;
+                    frame.adds.push({
+                        parent_id: targetId,
+                        next_id: getKnownNodeId(node.nextSibling),
+                        node: serialized
+                    });
+                });
+            } else if (mutation.type === 'attributes') {
+                if (mutation.attributeName.indexOf('on') === 0) return;
+                const value = target.getAttribute(mutation.attributeName);
+                frame.attributes.push({
+                    id: targetId,
+                    name: mutation.attributeName,
+                    value: value === null ? null : recordAttributeValue(target, mutation.attributeName, value)
+                });
+            } else if (mutation.type === 'characterData') {
+                frame.texts.push({
+                    id: targetId,
+                    text: isPrivateElement(target.parentElement)
+                        ? target.textContent.replace(/\S/g, '*')
+                        : target.textContent
+                });
+            }
+        });
+        
+        if (frame.adds.length || frame.removes.length || frame.attributes.length || frame.texts.length) {
+            pushRecordingFrame(frame);
+        }
+    }
+    
+    // Tracked events become replay frames, keyed by their own relative_time_ms
+    function recordTrackedEvent(event, element) {
+        if (!RECORDING.observer) return;
+        const t = event.relative_time_ms;
+        
+        switch (event.type_of_event) {
+            case 'mouse_move':
+                pushRecordingFrame({ t, type: 'mouse', x: event.coordinates.x, y: event.coordinates.y });
+                break;
+            case 'click':
+            case 'double_click':
+                pushRecordingFrame({
+                    t, type: 'click', x: event.coordinates.x, y: event.coordinates.y, id: getKnownNodeId(element)
+                });
+                break;
+            case 'scroll':
+                pushRecordingFrame({ t, type: 'scroll', x: event.scroll_x, y: event.scroll_y });
+                break;
+            case 'resize':
+                pushRecordingFrame({ t, type: 'viewport', width: event.viewport.width, height: event.viewport.height });
+                break;
+            case 'input':
+            case 'change': {
+                const id = getKnownNodeId(element);
+                const value = captureValue(element, element.value);
+                if (!id || value === undefined) break;
+                pushRecordingFrame({ t, type: 'input', id, value, checked: Boolean(element.checked) });
+                break;
+            }
+        }
+    }
+    
+    function startRecorder() {
+        if (typeof MutationObserver === 'undefined') return;
+        if (!RECORDING.startedAt) RECORDING.startedAt = getTimestamp();
+        
+        takeSnapshot();
+        RECORDING.observer = new MutationObserver(handleMutations);
+        RECORDING.observer.observe(document.documentElement, {
+            childList: true,
+            subtree: true,
+            attributes: true,
+            characterData: true
+        });
+    }
+    
+    function stopRecorder() {
+        if (!RECORDING.observer) return;
+        // Changes still queued belong to the recording
+        handleMutations(RECORDING.observer.takeRecords());
+        RECORDING.observer.disconnect();
+        RECORDING.observer = null;
+    }
+    
+    function exportRecording() {
+        return {
+            version: RECORDING_VERSION,
+            started_at: RECORDING.startedAt,
+            exported_at: getTimestamp(),
+            page: { url: getPageUrl(), title: document.title },
+            visitor_id: IDENTITY.visitorId,
+            session_id: IDENTITY.session ? IDENTITY.session.id : null,
+            truncated: RECORDING.truncated,
+            frames: RECORDING.frames.slice()
+        };
+    }
+    
+    function downloadFile(content, filename, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.setAttribute('data-tracker-ui', '');
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(function() {
+            URL.revokeObjectURL(url);
+        }, 0);
+    }
+    
+    // ============================================
+    // EVENT STORE
+    // ============================================
+    
+    // Ring buffer of the last CONFIG.eventLogSize delivered events, for
+    // getEvents(), the aggregation helpers and exports attached to bug reports
+    const EVENT_STORE = {
+        buffer: [],
+        start: 0,               // index of the oldest event once the buffer is full
+        dropped: 0,
+        elements: new WeakMap() // event -> element it was logged for
+    };
+    
+    const EXPORT_FORMATS = {
+        json: { extension: 'json', mimeType: 'application/json' },
+        ndjson: { extension: 'ndjson', mimeType: 'application/x-ndjson' },
+        csv: { extension: 'csv', mimeType: 'text/csv' }
+    };
+    
+    function storeEvent(logData, element) {
+        const capacity = Math.max(1, CONFIG.eventLogSize);
+        
+        // Resized through updateConfig. Once the ring has wrapped, the oldest
+        // event sits at start and the newest just before it; a push to the
+        // end of a grown array (or a modulo over a new capacity) would land
+        // out of order, so lay it out oldest-first again and keep what fits.
+        if ((EVENT_STORE.start !== 0 && EVENT_STORE.buffer.length !== capacity) ||
+            EVENT_STORE.buffer.length > capacity) {
+            const events = getStoredEvents();
+            EVENT_STORE.dropped += Math.max(0, events.length - capacity);
+            EVENT_STORE.buffer = events.slice(-capacity);
+            EVENT_STORE.start = 0;
+        }
+        
+        if (EVENT_STORE.buffer.length < capacity) {
+            EVENT_STORE.buffer.push(logData);
+        } else {
+            EVENT_STORE.buffer[EVENT_STORE.start] = logData;
+            EVENT_STORE.start = (EVENT_STORE.start + 1) % capacity;
+            EVENT_STORE.dropped++;
+        }
+        if (element) EVENT_STORE.elements.set(logData, element);
+    }
+    
+    // Oldest first
+    function getStoredEvents() {
+        const buffer = EVENT_STORE.buffer;
+        return buffer.slice(EVENT_STORE.start).concat(buffer.slice(0, EVENT_STORE.start));
+    }
+    
+    function toTime(value) {
+        if (value instanceof Date) return value.getTime();
+        return typeof value === 'number' ? value : Date.parse(value);
+    }
+    
+    // filter: { type, since, until, selector, session, limit }
+    //   type     - a type_of_event or an array of them
+    //   since    - Date, epoch ms or ISO string; until likewise
+    //   selector - CSS selector the event's element (or an ancestor) matches,
+    //              or an exact element_selector
+    //   limit    - only the newest n matches
+    function queryEvents(filter) {
+        filter = filter || {};
+        const types = filter.type ? [].concat(filter.type) : null;
+        const since = filter.since !== undefined ? toTime(filter.since) : null;
+        const until = filter.until !== undefined ? toTime(filter.until) : null;
+        
+        const events = getStoredEvents().filter(function(event) {
+            if (types && !types.includes(event.type_of_event)) return false;
+            if (filter.session && event.session_id !== filter.session) return false;
+            
+            const time = Date.parse(event.timestamp);
+            if (since !== null && time < since) return false;
+            if (until !== null && time > until) return false;
+            
+            if (filter.selector) {
+                if (event.element_selector === filter.selector) return true;
+                const element = EVENT_STORE.elements.get(event);
+                try {
+                    return Boolean(element && element.closest && element.closest(filter.selector));
+                } catch (e) {
+                    return false;
+                }
+            }
+            return true;
+        });
+        return filter.limit ? events.slice(-filter.limit) : events;
+    }
+    
+    function countEventsByType(filter) {
+        const counts = {};
+        queryEvents(filter).forEach(function(event) {
+            counts[event.type_of_event] = (counts[event.type_of_event] || 0) + 1;
+        });
+        return counts;
+    }
+    
+    // Grouped by fingerprint, so the same button counts once across routes
+    // and re-renders
+    function getTopElements(options) {
+        options = options || {};
+        const groups = new Map();
+        queryEvents({ ...options, type: options.type || 'click' }).forEach(function(event) {
+            const key = event.element_fingerprint || event.element_path;
+            let group = groups.get(key);
+            if (!group) {
+                group = {
+                    element_fingerprint: event.element_fingerprint,
+                    element_selector: event.element_selector,
+                    element_identifier: event.element_identifier,
+                    count: 0,
+                    last_seen: null
+                };
+                groups.set(key, group);
+            }
+            group.count++;
+            group.last_seen = event.timestamp;
+        });
+        
+        return Array.from(groups.values()).sort(function(a, b) {
+            return b.count - a.count;
+        }).slice(0, options.limit || 10);
+    }
+    
+    // Nested objects become dotted columns; arrays stay JSON in one cell
+    function flattenEvent(event, prefix, row) {
+        row = row || {};
+        Object.keys(event).forEach(function(key) {
+            const value = event[key];
+            const column = prefix ? `${prefix}.${key}` : key;
+            if (isPlainObject(value)) {
+                flattenEvent(value, column, row);
+            } else {
+                row[column] = Array.isArray(value) ? JSON.stringify(value) : value;
+            }
+        });
+        return row;
+    }
+    
+    function toCsvCell(value) {
+        if (value === undefined || value === null) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    function toCsv(events) {
+        const rows = events.map(function(event) {
+            return flattenEvent(event);
+        });
+        
+        // Columns in order of first appearance, so the base fields come first
+        const columns = [];
+        const seen = new Set();
+        rows.forEach(function(row) {
+            Object.keys(row).forEach(function(column) {
+                if (seen.has(column)) return;
+                seen.add(column);
+                columns.push(column);
+            });
+        });
+        
+        return [columns.map(toCsvCell).join(',')].concat(rows.map(function(row) {
+            return columns.map(function(column) {
+                return toCsvCell(row[column]);
+            }).join(',');
+        })).join('\r\n');
+    }
+    
+    function exportEvents(format, filter) {
+        const events = queryEvents(filter);
+        if (format === 'ndjson') {
+            return events.map(function(event) {
+                return JSON.stringify(event);
+            }).join('\n');
+        }
+        if (format === 'csv') return toCsv(events);
+        return JSON.stringify(events, null, 2);
+    }
+    
+    // ============================================
+    // GOALS & FUNNELS
+    // ============================================
+    
+    // A funnel is an ordered list of steps, a goal a funnel of one step.
+    // Steps are written as "<event type> [selector] [Text]":
+    //
+    //   defineFunnel('contact', [
+    //       'view h2 Skills',            // a view of an h2 containing "Skills"
+    //       'click a[href^=mailto]',
+    //       'submit form'
+    //   ]);
+    //
+    // The selector is matched against the event's element and its ancestors;
+    // text starts at the first word that is capitalized or quoted. Objects
+    // ({ type, selector, text, match(event, element), label }) cover the rest.
+    // Progress is kept across page loads until funnelWindow passes without
+    // a step, which counts as a drop-off.
+    const GOALS_KEY = '_et_goals';
+    const GOAL_EVENTS = new Set(['funnel_step', 'goal_reached', 'funnel_dropoff']);
+    
+    const GOALS = {
+        funnels: new Map(),     // name -> { name, steps, within }
+        progress: {}            // name -> { step, started_at, last_step_at, durations }
+    };
+    
+    function parseStep(step) {
+        if (typeof step === 'function') return { label: step.name || 'custom', match: step };
+        if (typeof step !== 'string') {
+            return {
+                ...step,
+                label: step.label || [step.type, step.selector, step.text].filter(Boolean).join(' ')
+            };
+        }
+        
+        const tokens = step.trim().split(/\s+/);
+        const type = tokens.shift();
+        const selector = [];
+        while (tokens.length && !/^["'A-Z]/.test(tokens[0])) {
+            selector.push(tokens.shift());
+        }
+        return {
+            label: step,
+            type: type,
+            selector: selector.join(' ') || null,
+            text: tokens.join(' ').replace(/^["']|["']$/g, '') || null
+        };
+    }
+    
+    function matchesStep(step, event, element) {
+        if (step.type && step.type !== '*' && step.type !== event.type_of_event) return false;
+        
+        let target = element;
+        if (step.selector) {
+            try {
+                target = element && element.closest ? element.closest(step.selector) : null;
+            } catch (e) {
+                target = null;
+            }
+            if (!target) return false;
+        }
+        if (step.text) {
+            const text = target ? target.textContent : '';
+            if (!text || !text.toLowerCase().includes(step.text.toLowerCase())) return false;
+        }
+        return !step.match || Boolean(step.match(event, element));
+    }
+    
+    function saveGoalProgress() {
+        if (Object.keys(GOALS.progress).length === 0) {
+            removeLocal(GOALS_KEY);
+            return;
+        }
+        writeLocal(GOALS_KEY, JSON.stringify(GOALS.progress));
+    }
+    
+    function loadGoalProgress() {
+        try {
+            GOALS.progress = JSON.parse(readLocal(GOALS_KEY)) || {};
+        } catch (e) {
+            GOALS.progress = {};
+        }
+    }
+    
+    // Funnels left without progress for longer than their window were abandoned
+    function expireGoalProgress() {
+        const now = Date.now();
+        let changed = false;
+        
+        Object.keys(GOALS.progress).forEach(function(name) {
+            const funnel = GOALS.funnels.get(name);
+            const progress = GOALS.progress[name];
+            // Defined later on this page, or on other pages only
+            if (!funnel) return;
+            
+            if (progress.step >= funnel.steps.length) {
+                delete GOALS.progress[name];
+                changed = true;
+                return;
+            }
+            if (now - progress.last_step_at <= funnel.within) return;
+            
+            delete GOALS.progress[name];
+            changed = true;
+            logEvent('funnel_dropoff', 'funnel', document.body, {
+                funnel: name,
+                steps_completed: progress.step,
+                last_step: funnel.steps[progress.step - 1].label,
+                step_count: funnel.steps.length,
+                time_since_last_step_ms: now - progress.last_step_at,
+                total_time_ms: progress.last_step_at - progress.started_at
+            });
+        });
+        
+        if (changed) saveGoalProgress();
+    }
+    
+    function advanceFunnel(funnel, event, element) {
+        const progress = GOALS.progress[funnel.name];
+        const index = progress ? progress.step : 0;
+        const step = funnel.steps[index];
+        if (!matchesStep(step, event, element)) return false;
+        
+        const now = Date.now();
+        const started = progress ? progress.started_at : now;
+        const previous = progress ? progress.last_step_at : null;
+        const durations = (progress ? progress.durations : []).concat(previous === null ? [] : [now - previous]);
+        const target = element || document.body;
+        
+        // A one-step goal is reached in one go, without a funnel_step first
+        if (funnel.steps.length > 1) {
+            logEvent('funnel_step', 'funnel', target, {
+                funnel: funnel.name,
+                step_index: index,
+                step: step.label,
+                step_count: funnel.steps.length,
+                time_since_previous_ms: previous === null ? null : now - previous,
+                time_since_start_ms: now - started
+            });
+        }
+        
+        if (index + 1 === funnel.steps.length) {
+            delete GOALS.progress[funnel.name];
+            logEvent('goal_reached', 'funnel', target, {
+                goal: funnel.name,
+                step_count: funnel.steps.length,
+                total_time_ms: now - started,
+                step_durations_ms: durations
+            });
+        } else {
+            GOALS.progress[funnel.name] = { step: index + 1, started_at: started, last_step_at: now, durations };
+        }
+        return true;
+    }
+    
+    function evaluateGoals(event, element) {
+        if (GOAL_EVENTS.has(event.type_of_event) || GOALS.funnels.size === 0) return;
+        expireGoalProgress();
+        
+        let changed = false;
+        GOALS.funnels.forEach(function(funnel) {
+            if (advanceFunnel(funnel, event, element)) changed = true;
+        });
+        if (changed) saveGoalProgress();
+    }
+    
+    function defineFunnel(name, steps, options) {
+        if (!name || !Array.isArray(steps) || steps.length === 0) {
+            console.warn('EventTracker: a funnel needs a name and at least one step');
+            return;
+        }
+        options = options || {};
+        GOALS.funnels.set(name, {
+            name: name,
+            steps: steps.map(parseStep),
+            within: options.within || CONFIG.funnelWindow
+        });
+        expireGoalProgress();
+    }
+    
+    function removeFunnel(name) {
+        GOALS.funnels.delete(name);
+        if (GOALS.progress[name]) {
+            delete GOALS.progress[name];
+            saveGoalProgress();
+        }
+    }
+    
+    function initGoals() {
+        loadGoalProgress();
+        Object.keys(CONFIG.funnels).forEach(function(name) {
+            const definition = CONFIG.funnels[name];
+            if (Array.isArray(definition)) {
+                defineFunnel(name, definition);
+            } else {
+                defineFunnel(name, definition.steps, definition);
+            }
+        });
+    }
+    
+    // ============================================
+    // ENGAGEMENT TIME
+    // ============================================
+    
+    // Time only counts as engaged while the page is visible, has focus and
+    // the visitor isn't idle. Whoever changes one of those calls
+    // updateEngagement() first, so the stretch up to now is credited.
+    const ENGAGEMENT = {
+        active: false,
+        engagedMs: 0,
+        since: null,            // start of the current engaged stretch
+        reportedMs: 0,          // engaged time at the last heartbeat
+        sections: new Map(),    // section element -> { section, engaged_ms }
+        visibleSections: new Set()
+    };
+    
+    function isEngaged() {
+        return ENGAGEMENT.active &&
+            document.visibilityState === 'visible' &&
+            document.hasFocus() &&
+            !STATE.isIdle;
+    }
+    
+    function updateEngagement() {
+        const now = Date.now();
+        if (ENGAGEMENT.since !== null) {
+            const elapsed = now - ENGAGEMENT.since;
+            ENGAGEMENT.engagedMs += elapsed;
+            ENGAGEMENT.visibleSections.forEach(function(section) {
+                ENGAGEMENT.sections.get(section).engaged_ms += elapsed;
+            });
+        }
+        ENGAGEMENT.since = isEngaged() ? now : null;
+    }
+    
+    function getEngagedTime() {
+        const running = ENGAGEMENT.since !== null ? Date.now() - ENGAGEMENT.since : 0;
+        return ENGAGEMENT.engagedMs + running;
+    }
+    
+    // Engaged share of the time the page has been open, 0-100
+    function getAttentionScore() {
+        const open = Date.now() - STATE.sessionStart.getTime();
+        return open > 0 ? Math.min(100, Math.round(getEngagedTime() / open * 100)) : 0;
+    }
+    
+    // Sections are named by id, label or heading, e.g. "About Me"
+    function getSectionName(section) {
+        const heading = section.querySelector('h1, h2, h3, h4');
+        return section.id ||
+            section.getAttribute('aria-label') ||
+            (heading && heading.textContent.trim().substring(0, 60)) ||
+            getElementSelector(section);
+    }
+    
+    function getSectionEngagement() {
+        updateEngagement();
+        return Array.from(ENGAGEMENT.sections.values()).map(function(entry) {
+            return { section: entry.section, engaged_ms: entry.engaged_ms };
+        });
+    }
+    
+    // ============================================
+    // HEATMAP OVERLAY
+    // ============================================
+    
+    // Three layers drawn over the page from click, scroll and view events:
+    //   clicks    - density map, placed relative to the clicked element
+    //   scroll    - share of sessions that scrolled at least this far
+    //   attention - outlines on viewed elements, stronger the more views
+    const HEATMAP = {
+        root: null,
+        options: null,
+        resizeTimer: null
+    };
+    
+    const HEATMAP_GRADIENT = [
+        [0.25, '#2196f3'],
+        [0.55, '#4caf50'],
+        [0.85, '#ffeb3b'],
+        [1, '#f44336']
+    ];
+    
+    // Canvases over this many pixels are drawn at reduced resolution
+    const HEATMAP_MAX_PIXELS = 16000000;
+    
+    // element_selector survives layout and copy changes; element_path is the
+    // fallback for events recorded before selectors existed
+    function resolveEventElement(event) {
+        if (event.element_selector && event.element_selector !== 'N/A') {
+            const element = resolveElementSelector(event.element_selector);
+            if (element) return element;
+        }
+        if (!event.element_path || event.element_path === 'N/A') return null;
+        try {
+            return document.querySelector(event.element_path) || null;
+        } catch (e) {
+            return null;
+        }
+    }
+    
+    // Page coordinates of a click: from its element if that still exists,
+    // from the recorded page position otherwise
+    function getClickPoint(event) {
+        const element = resolveEventElement(event);
+        const offset = event.element_offset;
+        if (element && offset) {
+            const rect = element.getBoundingClientRect();
+            return {
+                x: rect.left + window.pageXOffset + offset.x_ratio * rect.width,
+                y: rect.top + window.pageYOffset + offset.y_ratio * rect.height
+            };
+        }
+        if (event.coordinates && typeof event.coordinates.pageX === 'number') {
+            return { x: event.coordinates.pageX, y: event.coordinates.pageY };
+        }
+        return null;
+    }
+    
+    function createOverlayElement(tag, style) {
+        const element = document.createElement(tag);
+        element.setAttribute('data-tracker-ui', '');
+        element.style.cssText = style;
+        return element;
+    }
+    
+    function buildPalette() {
+        const canvas = document.createElement('canvas');
+        canvas.width = 256;
+        canvas.height = 1;
+        const ctx = canvas.getContext('2d');
+        const gradient = ctx.createLinearGradient(0, 0, 256, 0);
+        HEATMAP_GRADIENT.forEach(function(stop) {
+            gradient.addColorStop(stop[0], stop[1]);
+        });
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, 256, 1);
+        return ctx.getImageData(0, 0, 256, 1).data;
+    }
+    
+    // Points are stacked as soft alpha blobs, then each pixel's alpha is
+    // mapped onto the color gradient
+    function drawClickLayer(root, events, width, height, radius) {
+        const points = events.filter(function(event) {
+            return event.type_of_event === 'click';
+        }).map(getClickPoint).filter(Boolean);
+        
+        const scale = Math.min(1, Math.sqrt(HEATMAP_MAX_PIXELS / (width * height)));
+        const canvas = createOverlayElement('canvas',
+            `position:absolute;top:0;left:0;width:${width}px;height:${height}px;opacity:0.7;`);
+        canvas.width = Math.ceil(width * scale);
+        canvas.height = Math.ceil(height * scale);
+        root.appendChild(canvas);
+        
+        const ctx = canvas.getContext('2d');
+        if (!ctx || points.length === 0) return points.length;
+        
+        const r = radius * scale;
+        points.forEach(function(point) {
+            const x = point.x * scale;
+            const y = point.y * scale;
+            const blob = ctx.createRadialGradient(x, y, 0, x, y, r);
+            blob.addColorStop(0, 'rgba(0, 0, 0, 0.25)');
+            blob.addColorStop(1, 'rgba(0, 0, 0, 0)');
+            ctx.fillStyle = blob;
+            ctx.fillRect(x - r, y - r, r * 2, r * 2);
+        });
+        
+        const palette = buildPalette();
+        const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const pixels = image.data;
+        for (let i = 0; i < pixels.length; i += 4) {
+            const alpha = pixels[i + 3];
+            if (!alpha) continue;
+            const offset = Math.min(alpha * 4, 255) * 4;
+            pixels[i] = palette[offset];
+            pixels[i + 1] = palette[offset + 1];
+            pixels[i + 2] = palette[offset + 2];
+            pixels[i + 3] = Math.min(alpha * 3, 230);
+        }
+        ctx.putImageData(image, 0, 0);
+        
+        return points.length;
+    }
+    
+    // Deepest point seen per session, as a fraction of the page height;
+    // page_view counts the first screen for sessions that never scrolled
+    function getScrollReach(events) {
+        const reach = new Map();
+        events.forEach(function(event) {
+            let depth = null;
+            if (event.type_of_event === 'scroll' && event.scroll_height) {
+                depth = (event.scroll_y + event.viewport_height) / event.scroll_height;
+            } else if (event.type_of_event === 'page_view' && event.viewport) {
+                depth = event.viewport.height / document.documentElement.scrollHeight;
+            }
+            if (depth === null) return;
+            
+            const key = event.session_id || 'current';
+            reach.set(key, Math.max(reach.get(key) || 0, Math.min(depth, 1)));
+        });
+        return Array.from(reach.values());
+    }
+    
+    function drawScrollLayer(root, events, height) {
+        const reaches = getScrollReach(events);
+        if (reaches.length === 0) return 0;
+        
+        const bands = 20;
+        for (let band = 0; band < bands; band++) {
+            const depth = band / bands;
+            const share = reaches.filter(function(reach) {
+                return reach > depth;
+            }).length / reaches.length;
+            
+            const bar = createOverlayElement('div',
+                `position:absolute;right:0;width:36px;top:${depth * height}px;height:${height / bands}px;` +
+                `background:hsla(${Math.round(share * 120)}, 80%, 50%, 0.75);` +
+                'color:#fff;font:bold 11px sans-serif;text-align:center;padding-top:4px;box-sizing:border-box;');
+            bar.textContent = `${Math.round(share * 100)}%`;
+            bar.title = `${Math.round(share * 100)}% of sessions scrolled this far`;
+            root.appendChild(bar);
+        }
+        return reaches.length;
+    }
+    
+    function drawAttentionLayer(root, events) {
+        const views = new Map();
+        events.forEach(function(event) {
+            if (event.type_of_event !== 'view') return;
+            const element = resolveEventElement(event);
+            if (element) views.set(element, (views.get(element) || 0) + 1);
+        });
+        
+        const max = Math.max(0, ...views.values());
+        views.forEach(function(count, element) {
+            const rect = element.getBoundingClientRect();
+            const strength = count / max;
+            const box = createOverlayElement('div',
+                `position:absolute;left:${rect.left + window.pageXOffset}px;top:${rect.top + window.pageYOffset}px;` +
+                `width:${rect.width}px;height:${rect.height}px;box-sizing:border-box;` +
+                `border:2px solid rgba(156, 39, 176, ${0.3 + strength * 0.7});background:rgba(156, 39, 176, ${strength * 0.15});`);
+            box.title = `${count} view${count === 1 ? '' : 's'}`;
+            root.appendChild(box);
+        });
+        return views.size;
+    }
+    
+    function renderHeatmap() {
+        const options = HEATMAP.options;
+        const events = options.events || getStoredEvents();
+        const width = document.documentElement.scrollWidth;
+        const height = document.documentElement.scrollHeight;
+        
+        const root = createOverlayElement('div',
+            `position:absolute;top:0;left:0;width:${width}px;height:${height}px;` +
+            'pointer-events:none;z-index:2147483646;');
+        
+        const layers = options.layers || ['clicks', 'scroll', 'attention'];
+        const counts = {};
+        if (layers.includes('attention')) counts.viewed_elements = drawAttentionLayer(root, events);
+        if (layers.includes('clicks')) counts.clicks = drawClickLayer(root, events, width, height, options.radius || 30);
+        if (layers.includes('scroll')) counts.sessions = drawScrollLayer(root, events, height);
+        
+        const legend = createOverlayElement('div',
+            'position:fixed;top:12px;right:48px;padding:8px 12px;background:rgba(0,0,0,0.8);color:#fff;' +
+            'font:12px sans-serif;border-radius:4px;pointer-events:auto;z-index:2147483647;');
+        legend.textContent = `🔥 Heatmap · ${events.length} events · ` +
+            Object.keys(counts).map(function(key) {
+                return `${counts[key]} ${key.replace('_', ' ')}`;
+            }).join(' · ') + ' ';
+        const close = createOverlayElement('button', 'margin-left:8px;cursor:pointer;');
+        close.textContent = '✕';
+        close.addEventListener('click', hideHeatmap);
+        legend.appendChild(close);
+        root.appendChild(legend);
+        
+        document.body.appendChild(root);
+        HEATMAP.root = root;
+    }
+    
+    function handleHeatmapResize() {
+        clearTimeout(HEATMAP.resizeTimer);
+        HEATMAP.resizeTimer = setTimeout(function() {
+            if (!HEATMAP.root) return;
+            HEATMAP.root.remove();
+            renderHeatmap();
+        }, 200);
+    }
+    
+    function showHeatmap(options) {
+        hideHeatmap();
+        HEATMAP.options = options || {};
+        renderHeatmap();
+        // Element-relative positions are recomputed for the new layout
+        window.addEventListener('resize', handleHeatmapResize);
+    }
+    
+    function hideHeatmap() {
+        if (!HEATMAP.root) return;
+        HEATMAP.root.remove();
+        HEATMAP.root = null;
+        clearTimeout(HEATMAP.resizeTimer);
+        window.removeEventListener('resize', handleHeatmapResize);
+    }
+    
+    // ============================================
+    // DEBUG PANEL
+    // ============================================
+    
+    // Floating panel with the live event stream, the color legend and
+    // getStats(). Hovering an event outlines its element on the page.
+    const DEBUG_PANEL = {
+        root: null,
+        list: null,
+        stats: null,
+        filter: '',
+        paused: false,
+        highlight: null,
+        statsTimer: null,
+        unsubscribe: null
+    };
+    
+    const DEBUG_PANEL_STYLE = 'position:fixed;right:12px;bottom:12px;width:420px;max-height:60vh;display:flex;' +
+        'flex-direction:column;background:#1e1e24;color:#eee;font:12px/1.4 monospace;border-radius:6px;' +
+        'box-shadow:0 4px 24px rgba(0,0,0,0.4);z-index:2147483647;overflow:hidden;';
+    
+    function matchesDebugFilter(event) {
+        const filter = DEBUG_PANEL.filter.toLowerCase();
+        if (!filter) return true;
+        return event.type_of_event.toLowerCase().includes(filter) ||
+            String(event.element_identifier).toLowerCase().includes(filter);
+    }
+    
+    function highlightElement(element) {
+        clearHighlight();
+        if (!element || !element.isConnected || !element.getBoundingClientRect) return;
+        
+        const rect = element.getBoundingClientRect();
+        DEBUG_PANEL.highlight = createOverlayElement('div',
+            `position:fixed;left:${rect.left}px;top:${rect.top}px;width:${rect.width}px;height:${rect.height}px;` +
+            'outline:2px solid #ff4081;background:rgba(255,64,129,0.15);pointer-events:none;z-index:2147483646;');
+        document.body.appendChild(DEBUG_PANEL.highlight);
+    }
+    
+    function clearHighlight() {
+        if (!DEBUG_PANEL.highlight) return;
+        DEBUG_PANEL.highlight.remove();
+        DEBUG_PANEL.highlight = null;
+    }
+    
+    function buildDebugRow(event) {
+        const row = createOverlayElement('li', 'padding:3px 8px;border-bottom:1px solid #333;cursor:pointer;');
+        const color = getEventColor(event.type_of_event);
+        
+        const badge = createOverlayElement('span',
+            `display:inline-block;min-width:90px;color:${color};font-weight:bold;`);
+        badge.textContent = event.type_of_event;
+        const number = createOverlayElement('span', 'color:#888;margin-right:6px;');
+        number.textContent = `#${event.event_number}`;
+        const label = createOverlayElement('span', 'color:#ccc;');
+        label.textContent = String(event.element_identifier).substring(0, 60);
+        row.append(number, badge, label);
+        
+        // Click to expand the full record
+        row.addEventListener('click', function() {
+            const details = row.querySelector('pre');
+            if (details) {
+                details.remove();
+                return;
+            }
+            const pre = createOverlayElement('pre', 'margin:4px 0;white-space:pre-wrap;word-break:break-all;color:#9cdcfe;');
+            pre.textContent = JSON.stringify(event, null, 2);
+            row.appendChild(pre);
+        });
+        row.addEventListener('mouseenter', function() {
+            highlightElement(EVENT_STORE.elements.get(event) ||
+                (event.element_selector && event.element_selector !== 'N/A' ? resolveElementSelector(event.element_selector) : null));
+        });
+        row.addEventListener('mouseleave', clearHighlight);
+        return row;
+    }
+    
+    function appendDebugEvent(event) {
+        if (!DEBUG_PANEL.root || DEBUG_PANEL.paused || !matchesDebugFilter(event)) return;
+        
+        const list = DEBUG_PANEL.list;
+        list.insertBefore(buildDebugRow(event), list.firstChild);
+        while (list.children.length > CONFIG.debugPanelRows) {
+            list.lastChild.remove();
+        }
+    }
+    
+    function renderDebugEvents() {
+        DEBUG_PANEL.list.textContent = '';
+        const events = getStoredEvents().filter(matchesDebugFilter).slice(-CONFIG.debugPanelRows);
+        events.forEach(function(event) {
+            DEBUG_PANEL.list.insertBefore(buildDebugRow(event), DEBUG_PANEL.list.firstChild);
+        });
+    }
+    
+    function renderDebugStats() {
+        const stats = window.EventTracker.getStats();
+        DEBUG_PANEL.stats.textContent = Object.keys(stats).map(function(key) {
+            return `${key}: ${stats[key]}`;
+        }).join('\n');
+    }
+    
+    function buildDebugLegend() {
+        const legend = createOverlayElement('div', 'padding:4px 8px;border-bottom:1px solid #333;');
+        Object.keys(EVENT_COLORS).forEach(function(eventType) {
+            const item = createOverlayElement('span',
+                `display:inline-block;margin:0 8px 2px 0;cursor:pointer;color:${EVENT_COLORS[eventType]};`);
+            item.textContent = `● ${eventType}`;
+            item.title = 'Filter by this type';
+            item.addEventListener('click', function() {
+                DEBUG_PANEL.filter = DEBUG_PANEL.filter === eventType ? '' : eventType;
+                DEBUG_PANEL.root.querySelector('input[type="search"]').value = DEBUG_PANEL.filter;
+                renderDebugEvents();
+            });
+            legend.appendChild(item);
+        });
+        return legend;
+    }
+    
+    function showDebugPanel() {
+        if (DEBUG_PANEL.root) return;
+        
+        const root = createOverlayElement('div', DEBUG_PANEL_STYLE);
+        
+        const header = createOverlayElement('div', 'display:flex;gap:6px;align-items:center;padding:6px 8px;background:#2d2d36;');
+        const title = createOverlayElement('strong', 'flex:1;');
+        title.textContent = '🎯 Event Tracker';
+        const filter = createOverlayElement('input', 'width:140px;background:#111;color:#eee;border:1px solid #444;padding:2px 4px;');
+        filter.type = 'search';
+        filter.placeholder = 'Filter type or element';
+        filter.value = DEBUG_PANEL.filter;
+        filter.addEventListener('input', function() {
+            DEBUG_PANEL.filter = filter.value.trim();
+            renderDebugEvents();
+        });
+        const pause = createOverlayElement('button', 'cursor:pointer;');
+        pause.textContent = '⏸';
+        pause.title = 'Pause the stream';
+        pause.addEventListener('click', function() {
+            DEBUG_PANEL.paused = !DEBUG_PANEL.paused;
+            pause.textContent = DEBUG_PANEL.paused ? '▶' : '⏸';
+            if (!DEBUG_PANEL.paused) renderDebugEvents();
+        });
+        const close = createOverlayElement('button', 'cursor:pointer;');
+        close.textContent = '✕';
+        close.addEventListener('click', hideDebugPanel);
+        header.append(title, filter, pause, close);
+        
+        const stats = createOverlayElement('pre',
+            'margin:0;padding:6px 8px;max-height:110px;overflow:auto;color:#a5d6a7;border-bottom:1px solid #333;');
+        const list = createOverlayElement('ul', 'list-style:none;margin:0;padding:0;overflow-y:auto;flex:1;');
+        
+        root.append(header, buildDebugLegend(), stats, list);
+        document.body.appendChild(root);
+        
+        DEBUG_PANEL.root = root;
+        DEBUG_PANEL.list = list;
+        DEBUG_PANEL.stats = stats;
+        renderDebugEvents();
+        renderDebugStats();
+        DEBUG_PANEL.statsTimer = setInterval(renderDebugStats, 1000);
+        DEBUG_PANEL.unsubscribe = subscribe('*', appendDebugEvent);
+    }
+    
+    function hideDebugPanel() {
+        if (!DEBUG_PANEL.root) return;
+        clearInterval(DEBUG_PANEL.statsTimer);
+        DEBUG_PANEL.unsubscribe();
+        clearHighlight();
+        DEBUG_PANEL.root.remove();
+        DEBUG_PANEL.root = null;
+    }
+    
+    function toggleDebugPanel() {
+        if (DEBUG_PANEL.root) {
+            hideDebugPanel();
+        } else {
+            showDebugPanel();
+        }
+    }
+    
+    // 'alt+shift+d' -> modifiers must match exactly; the key is compared by
+    // physical key so Alt/Option combinations that produce symbols still work
+    function matchesShortcut(e, shortcut) {
+        const parts = String(shortcut).toLowerCase().split('+');
+        const key = parts.pop();
+        const pressedKey = e.code && e.code.indexOf('Key') === 0 ? e.code.slice(3).toLowerCase() : String(e.key).toLowerCase();
+        
+        return pressedKey === key &&
+            e.altKey === parts.includes('alt') &&
+            e.shiftKey === parts.includes('shift') &&
+            e.ctrlKey === parts.includes('ctrl') &&
+            e.metaKey === parts.includes('meta');
+    }
+    
+    // ============================================
+    // EVENT LISTENERS
+    // ============================================
+    
+    // PAGE VIEW
+    listen('interaction', window, 'load', function() {
+        logEvent('page_view', 'page', document.body, {
+            ...getPageMetadata(),
+            navigation_type: 'load'
+        });
+    });
+    
+    // ROUTE CHANGES (single-page apps: History API and hash navigation)
+    listenerGroup('routes', function() {
+        let originalPushState = null;
+        let originalReplaceState = null;
+        
+        function handleRouteChange(navigationType) {
+            const url = window.location.href;
+            if (url === STATE.routeUrl) return;
+            
+            const previousUrl = STATE.routeUrl;
+            const previousRouteTime = Date.now() - STATE.routeStart.getTime();
+            STATE.routeUrl = url;
+            STATE.routeStart = new Date();
+            enterVirtualPage();
+            if (CONFIG.trackAttribution) updateAttribution(url, previousUrl);
+            
+            logEvent('page_view', 'route', document.body, {
+                ...getPageMetadata(),
+                referrer: stripTrackingParams(previousUrl),
+                navigation_type: navigationType,
+                previous_url: stripTrackingParams(previousUrl),
+                previous_route_time_ms: previousRouteTime
+            });
+        }
+        
+        function wrapHistoryMethod(original, navigationType) {
+            const wrapped = function() {
+                const result = original.apply(this, arguments);
+                handleRouteChange(navigationType);
+                return result;
+            };
+            wrapped.tracked = true;
+            return wrapped;
+        }
+        
+        control('interaction', {
+            start: function() {
+                // Routes changed while stopped aren't reported, only the next one
+                STATE.routeUrl = window.location.href;
+                originalPushState = history.pushState;
+                originalReplaceState = history.replaceState;
+                history.pushState = wrapHistoryMethod(originalPushState, 'push');
+                history.replaceState = wrapHistoryMethod(originalReplaceState, 'replace');
+            },
+            stop: function() {
+                // Only undo our own wrappers: code that wrapped them after us keeps its own
+                if (history.pushState.tracked) history.pushState = originalPushState;
+                if (history.replaceState.tracked) history.replaceState = originalReplaceState;
+            }
+        });
+        
+        // Fragment navigation fires popstate before hashchange, so hash-only
+        // changes are told apart here; hashchange then finds nothing new
+        listen('interaction', window, 'popstate', function() {
+            const hashOnly = window.location.href.split('#')[0] === STATE.routeUrl.split('#')[0];
+            handleRouteChange(hashOnly ? 'hashchange' : 'popstate');
+        });
+        
+        listen('interaction', window, 'hashchange', function() {
+            handleRouteChange('hashchange');
+        });
+    });
+    
+    // CLICK EVENTS
+    listen('interaction', document, 'click', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        logEvent('click', elementType, element, {
+            coordinates: { 
+                x: e.clientX, 
+                y: e.clientY,
+                pageX: e.pageX,
+                pageY: e.pageY
+            },
+            element_offset: getElementOffset(element, e.clientX, e.clientY),
+            button: e.button,
+            buttons: e.buttons,
+            ctrl_key: e.ctrlKey,
+            shift_key: e.shiftKey,
+            alt_key: e.altKey,
+            meta_key: e.metaKey,
+            detail: e.detail // click count
+        });
+    }, true);
+    
+    // DOUBLE CLICK
+    listen('interaction', document, 'dblclick', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        logEvent('double_click', elementType, element, {
+            coordinates: { x: e.clientX, y: e.clientY }
+        });
+    }, true);
+    
+    // RIGHT CLICK (Context Menu)
+    listen('interaction', document, 'contextmenu', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        logEvent('right_click', elementType, element, {
+            coordinates: { x: e.clientX, y: e.clientY }
+        });
+    }, true);
+    
+    // FORM CHANGE EVENTS
+    listen('interaction', document, 'change', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        logEvent('change', elementType, element, {
+            value: captureValue(element, element.value),
+            checked: element.checked,
+            selected_index: element.selectedIndex,
+            selected_options: element.selectedOptions ? 
+                Array.from(element.selectedOptions).map(opt => captureValue(element, opt.value)) : undefined
+        });
+    }, true);
+    
+    // INPUT EVENTS
+    listen('interaction', document, 'input', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        logEvent('input', elementType, element, {
+            value_length: element.value ? element.value.length : 0,
+            input_type: e.inputType
+        });
+    }, true);
+    
+    // FOCUS EVENTS
+    listen('interaction', document, 'focus', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        if (['input', 'select', 'textarea', 'button'].includes(element.tagName.toLowerCase()) || 
+            element.contentEditable === 'true') {
+            logEvent('focus', elementType, element);
+        }
+    }, true);
+    
+    // BLUR EVENTS
+    listen('interaction', document, 'blur', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        if (['input', 'select', 'textarea', 'button'].includes(element.tagName.toLowerCase()) || 
+            element.contentEditable === 'true') {
+            logEvent('blur', elementType, element);
+        }
+    }, true);
+    
+    // FORM SUBMISSION
+    listen('interaction', document, 'submit', function(e) {
+        const element = e.target;
+        
+        logEvent('submit', 'form', element, {
+            action: element.action,
+            method: element.method,
+            form_data_count: Array.from(new FormData(element).keys()).length
+        });
+    }, true);
+    
+    // KEYBOARD EVENTS
+    listenerGroup('keyboard', function() {
+        listen('interaction', document, 'keydown', function(e) {
+            logEvent('keyboard', 'keydown', e.target, {
+                ...captureKey(e),
+                ctrl_key: e.ctrlKey,
+                shift_key: e.shiftKey,
+                alt_key: e.altKey,
+                meta_key: e.metaKey,
+                repeat: e.repeat
+            });
+        });
+        
+        listen('interaction', document, 'keyup', function(e) {
+            const key = captureKey(e);
+            logEvent('keyboard', 'keyup', e.target, {
+                key: key.key,
+                code: key.code
+            });
+        });
+    });
+    
+    // SCROLL EVENTS (Throttled)
+    let scrollTimeout;
+    listen('interaction', window, 'scroll', function() {
+        clearTimeout(scrollTimeout);
+        scrollTimeout = setTimeout(function() {
+            const scrollInfo = getScrollInfo();
+            STATE.scrollDepth = scrollInfo.scroll_percentage;
+            
+            if (scrollInfo.scroll_percentage > STATE.maxScrollDepth) {
+                STATE.maxScrollDepth = scrollInfo.scroll_percentage;
+            }
+            
+            logEvent('scroll', 'page', document.body, scrollInfo);
+        }, CONFIG.scrollThrottle);
+    });
+    
+    // MOUSE MOVEMENT (Throttled)
+    listenerGroup('mouse_movement', function() {
+        let mouseMoveTimeout;
+        let lastMouseLog = 0;
+        
+        listen('interaction', document, 'mousemove', function(e) {
+            STATE.mouseTrail.push({ x: e.clientX, y: e.clientY, time: Date.now() });
+            if (STATE.mouseTrail.length > 10) STATE.mouseTrail.shift();
+            
+            const now = Date.now();
+            if (now - lastMouseLog > CONFIG.mouseMoveThrottle) {
+                lastMouseLog = now;
+                
+                logEvent('mouse_move', 'cursor', e.target, {
+                    coordinates: { x: e.clientX, y: e.clientY },
+                    movement: { x: e.movementX, y: e.movementY },
+                    buttons: e.buttons
+                });
+            }
+        });
+    });
+    
+    // MOUSE ENTER/LEAVE
+    listen('interaction', document, 'mouseenter', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        if (element.tagName && ['button', 'a', 'img'].includes(element.tagName.toLowerCase())) {
+            logEvent('mouse_enter', elementType, element);
+        }
+    }, true);
+    
+    listen('interaction', document, 'mouseleave', function(e) {
+        const element = e.target;
+        const elementType = getElementType(element);
+        
+        if (element.tagName && ['button', 'a', 'img'].includes(element.tagName.toLowerCase())) {
+            logEvent('mouse_leave', elementType, element);
+        }
+    }, true);
+    
+    // CLIPBOARD EVENTS
+    listenerGroup('clipboard', function() {
+        listen('interaction', document, 'copy', function(e) {
+            const selection = window.getSelection().toString();
+            logEvent('copy', 'text', e.target, {
+                text_length: selection.length,
+                text_preview: captureText(getSelectionSource(e), selection, 50)
+            });
+        });
+        
+        listen('interaction', document, 'cut', function(e) {
+            const selection = window.getSelection().toString();
+            logEvent('cut', 'text', e.target, {
+                text_length: selection.length,
+                text_preview: captureText(getSelectionSource(e), selection, 50)
+            });
+        });
+        
+        listen('interaction', document, 'paste', function(e) {
+            logEvent('paste', 'text', e.target, {
+                element_type: getElementType(e.target)
+            });
+        });
+    });
+    
+    // WINDOW RESIZE (Throttled)
+    let resizeTimeout;
+    listen('interaction', window, 'resize', function() {
+        clearTimeout(resizeTimeout);
+        resizeTimeout = setTimeout(function() {
+            logEvent('resize', 'window', document.body, {
+                viewport: {
+                    width: window.innerWidth,
+                    height: window.innerHeight
+                },
+                orientation: window.screen.orientation ? window.screen.orientation.type : 'unknown'
+            });
+        }, CONFIG.resizeThrottle);
+    });
+    
+    // PAGE VISIBILITY CHANGE
+    listen('interaction', document, 'visibilitychange', function() {
+        logEvent('visibility_change', 'page', document.body, {
+            visibility_state: document.visibilityState,
+            hidden: document.hidden
+        });
+    });
+    
+    // ONLINE/OFFLINE
+    listen('interaction', window, 'online', function() {
+        logEvent('connection', 'online', document.body);
+    });
+    
+    listen('interaction', window, 'offline', function() {
+        logEvent('connection', 'offline', document.body);
+    });
+    
+    // BEFORE UNLOAD (Page Exit)
+    listen('interaction', window, 'beforeunload', function() {
+        // Until another page of this session loads, this one is its exit page
+        if (IDENTITY.session) IDENTITY.session.exit_page = getPageUrl();
+        
+        logEvent('page_exit', 'page', document.body, {
+            exit_page: getPageUrl(),
+            time_on_page: Date.now() - STATE.sessionStart.getTime(),
+            route_time_ms: Date.now() - STATE.routeStart.getTime(),
+            total_events: STATE.eventCount,
+            max_scroll_depth: STATE.maxScrollDepth,
+            engaged_time_ms: getEngagedTime(),
+            attention_score: getAttentionScore(),
+            sections: getSectionEngagement()
+        });
+        // Events since the last sync haven't been written yet
+        if (IDENTITY.session) saveSession();
+    });
+    
+    // MEDIA EVENTS (Video/Audio)
+    listen('interaction', document, 'play', function(e) {
+        if (e.target.tagName && ['video', 'audio'].includes(e.target.tagName.toLowerCase())) {
+            logEvent('media_play', e.target.tagName.toLowerCase(), e.target, {
+                current_time: e.target.currentTime,
+                duration: e.target.duration,
+                src: e.target.src
+            });
+        }
+    }, true);
+    
+    listen('interaction', document, 'pause', function(e) {
+        if (e.target.tagName && ['video', 'audio'].includes(e.target.tagName.toLowerCase())) {
+            logEvent('media_pause', e.target.tagName.toLowerCase(), e.target, {
+                current_time: e.target.currentTime,
+                duration: e.target.duration
+            });
+        }
+    }, true);
+    
+    listen('interaction', document, 'ended', function(e) {
+        if (e.target.tagName && ['video', 'audio'].includes(e.target.tagName.toLowerCase())) {
+            logEvent('media_ended', e.target.tagName.toLowerCase(), e.target);
+        }
+    }, true);
+    
+    // SELECTION EVENTS
+    listen('interaction', document, 'selectionchange', function() {
+        const selection = window.getSelection();
+        if (selection.toString().length > 0) {
+            logEvent('text_selection', 'text', selection.anchorNode ? selection.anchorNode.parentElement : null, {
+                text_length: selection.toString().length,
+                text_preview: captureText(selection.anchorNode, selection.toString(), 100)
+            });
+        }
+    });
+    
+    // DRAG AND DROP
+    listen('interaction', document, 'dragstart', function(e) {
+        logEvent('drag_start', getElementType(e.target), e.target);
+    }, true);
+    
+    listen('interaction', document, 'dragend', function(e) {
+        logEvent('drag_end', getElementType(e.target), e.target);
+    }, true);
+    
+    listen('interaction', document, 'drop', function(e) {
+        logEvent('drop', getElementType(e.target), e.target, {
+            files_count: e.dataTransfer.files.length,
+            types: Array.from(e.dataTransfer.types)
+        });
+    }, true);
+    
+    // DECLARATIVE (data-track) EVENTS
+    listen('interaction', document, 'click', function(e) {
+        trackDeclarative('click', e.target);
+    }, true);
+    
+    listen('interaction', document, 'mouseenter', function(e) {
+        // mouseenter fires for every element entered; only the tracked one counts
+        if (e.target.nodeType === 1 && e.target.hasAttribute('data-track')) {
+            trackDeclarative('hover', e.target);
+        }
+    }, true);
+    
+    listen('interaction', document, 'focus', function(e) {
+        trackDeclarative('focus', e.target);
+    }, true);
+    
+    listen('interaction', document, 'change', function(e) {
+        trackDeclarative('change', e.target);
+    }, true);
+    
+    listen('interaction', document, 'submit', function(e) {
+        trackDeclarative('submit', e.target);
+    }, true);
+    
+    // ELEMENT VISIBILITY TRACKING (Intersection Observer)
+    // A MutationObserver keeps the set of observed elements in step with the
+    // DOM, so content rendered later (lazy sections, modals, infinite lists)
+    // is seen too. Every time an element comes into view a 'view' event is
+    // logged, and a 'view_end' with the dwell time when it leaves.
+    listenerGroup('visibility', function() {
+        const VIEW_SELECTOR = 'button, a, img, video, audio, select, input, textarea, h1, h2, h3, [role="button"], [data-track]';
+        
+        let observer = null;
+        let domObserver = null;
+        let visible = new Map();        // element -> { entered_at, view_count }
+        let viewStats = new WeakMap();  // element -> { view_count, total_dwell_ms }
+        
+        function getViewStats(element) {
+            let stats = viewStats.get(element);
+            if (!stats) {
+                stats = { view_count: 0, total_dwell_ms: 0 };
+                viewStats.set(element, stats);
+            }
+            return stats;
+        }
+        
+        function enterView(entry) {
+            const element = entry.target;
+            if (visible.has(element)) return;
+            
+            const stats = getViewStats(element);
+            stats.view_count++;
+            visible.set(element, { entered_at: Date.now() });
+            
+            logEvent('view', getElementType(element), element, {
+                visibility_ratio: Math.round(entry.intersectionRatio * 100) + '%',
+                bounding_rect: entry.boundingClientRect,
+                view_count: stats.view_count,
+                first_view: stats.view_count === 1
+            });
+            
+            if (stats.view_count === 1 && element.hasAttribute('data-track')) {
+                trackDeclarative('view', element);
+            }
+        }
+        
+        function exitView(element, reason) {
+            const view = visible.get(element);
+            if (!view) return;
+            visible.delete(element);
+            
+            const stats = getViewStats(element);
+            const dwell = Date.now() - view.entered_at;
+            stats.total_dwell_ms += dwell;
+            
+            logEvent('view_end', getElementType(element), element, {
+                dwell_ms: dwell,
+                total_dwell_ms: stats.total_dwell_ms,
+                view_count: stats.view_count,
+                exit_reason: reason
+            });
+        }
+        
+        function exitAll(reason) {
+            Array.from(visible.keys()).forEach(function(element) {
+                exitView(element, reason);
+            });
+        }
+        
+        // Crossing 0 marks leaving the viewport, crossing the threshold entering it
+        function handleIntersections(entries) {
+            entries.forEach(function(entry) {
+                if (entry.isIntersecting && entry.intersectionRatio >= CONFIG.visibilityThreshold) {
+                    enterView(entry);
+                } else if (!entry.isIntersecting) {
+                    exitView(entry.target, 'scrolled_out');
+                }
+            });
+        }
+        
+        function observeElement(element) {
+            if (STATE.observedElements.has(element) || isIgnoredElement(element)) return;
+            STATE.observedElements.add(element);
+            observer.observe(element);
+        }
+        
+        function unobserveElement(element) {
+            if (!STATE.observedElements.has(element)) return;
+            STATE.observedElements.delete(element);
+            observer.unobserve(element);
+            exitView(element, 'removed');
+        }
+        
+        // The node itself and every matching element below it
+        function forEachViewElement(node, callback) {
+            if (node.nodeType !== 1) return;
+            if (node.matches(VIEW_SELECTOR)) callback(node);
+            node.querySelectorAll(VIEW_SELECTOR).forEach(callback);
+        }
+        
+        function handleDomChanges(records) {
+            records.forEach(function(record) {
+                record.removedNodes.forEach(function(node) {
+                    // Moved, not removed: it is still observed where it went
+                    if (node.isConnected) return;
+                    forEachViewElement(node, unobserveElement);
+                });
+                record.addedNodes.forEach(function(node) {
+                    if (node.isConnected) forEachViewElement(node, observeElement);
+                });
+            });
+        }
+        
+        // Re-observing makes the observer report every element's current state
+        function reobserveAll() {
+            observer.disconnect();
+            STATE.observedElements.forEach(function(element) {
+                observer.observe(element);
+            });
+        }
+        
+        // A new route is a new view: elements still on screen are seen again
+        subscribe('page_view', function(event) {
+            if (!observer || event.event_object !== 'route') return;
+            
+            exitAll('route_change');
+            viewStats = new WeakMap();
+            reobserveAll();
+        });
+        
+        // Nothing is in view on a hidden page
+        listen('interaction', document, 'visibilitychange', function() {
+            if (!observer) return;
+            if (document.visibilityState === 'hidden') {
+                exitAll('page_hidden');
+            } else {
+                reobserveAll();
+            }
+        });
+        
+        control('interaction', {
+            start: function() {
+                // The threshold is fixed per observer, so a new one is built on every start
+                observer = new IntersectionObserver(handleIntersections, {
+                    threshold: [0, CONFIG.visibilityThreshold]
+                });
+                document.querySelectorAll(VIEW_SELECTOR).forEach(observeElement);
+                
+                domObserver = new MutationObserver(handleDomChanges);
+                domObserver.observe(document.documentElement, { childList: true, subtree: true });
+            },
+            stop: function() {
+                domObserver.disconnect();
+                domObserver = null;
+                exitAll('stopped');
+                observer.disconnect();
+                observer = null;
+                STATE.observedElements.clear();
+                visible = new Map();
+            }
+        });
+    });
+    
+    // PERFORMANCE (Core Web Vitals, long tasks, heavy resources)
+    listenerGroup('performance', function() {
+        // [good, poor] boundaries from web.dev
+        const THRESHOLDS = {
+            LCP: [2500, 4000],
+            FCP: [1800, 3000],
+            TTFB: [800, 1800],
+            INP: [200, 500],
+            CLS: [0.1, 0.25]
+        };
+        
+        let observers = [];
+        let metrics;
+        
+        function resetMetrics() {
+            metrics = {
+                lcp: null,              // latest largest-contentful-paint entry
+                cls: 0,
+                clsWindow: [],          // layout shifts in the current session window
+                clsWindowValue: 0,
+                clsSource: null,
+                interactions: new Map(), // interactionId -> slowest event entry
+                longTasks: 0,
+                resources: new Set(),   // resource URLs already reported
+                reported: {}            // metric -> last reported value
+            };
+        }
+        
+        function rateMetric(name, value) {
+            const bounds = THRESHOLDS[name];
+            if (!bounds) return null;
+            if (value <= bounds[0]) return 'good';
+            if (value <= bounds[1]) return 'needs-improvement';
+            return 'poor';
+        }
+        
+        function asElement(node) {
+            if (!node) return null;
+            return node.nodeType === 1 ? node : node.parentElement;
+        }
+        
+        function reportMetric(name, value, element, details) {
+            const rounded = name === 'CLS' ? Math.round(value * 10000) / 10000 : Math.round(value);
+            metrics.reported[name] = value;
+            logEvent('performance', 'web_vital', asElement(element) || document.body, {
+                metric: name,
+                value: rounded,
+                unit: name === 'CLS' ? 'score' : 'ms',
+                rating: rateMetric(name, value),
+                ...details
+            });
+        }
+        
+        function findElementByUrl(url) {
+            const candidates = document.querySelectorAll('img, script, link[href], video, audio, source, iframe');
+            for (let i = 0; i < candidates.length; i++) {
+                const el = candidates[i];
+                if (el.currentSrc === url || el.src === url || el.href === url) return el;
+            }
+            return null;
+        }
+        
+        function observe(type, callback, options) {
+            const supported = PerformanceObserver.supportedEntryTypes || [];
+            if (!supported.includes(type)) return;
+            try {
+                const observer = new PerformanceObserver(function(list) {
+                    list.getEntries().forEach(callback);
+                });
+                observer.observe({ type: type, buffered: true, ...options });
+                observers.push(observer);
+            } catch (e) {
+                // Entry type known but not observable this way in this browser
+            }
+        }
+        
+        // Observers replay buffered entries after a restart; one-off metrics
+        // and resources are only reported the first time
+        function handleNavigation(entry) {
+            if ('TTFB' in metrics.reported) return;
+            const activationStart = entry.activationStart || 0;
+            reportMetric('TTFB', Math.max(entry.responseStart - activationStart, 0), document.body, {
+                dns_ms: Math.round(entry.domainLookupEnd - entry.domainLookupStart),
+                connect_ms: Math.round(entry.connectEnd - entry.connectStart),
+                request_ms: Math.round(entry.responseStart - entry.requestStart),
+                navigation_type: entry.type
+            });
+        }
+        
+        function handlePaint(entry) {
+            if (entry.name === 'first-contentful-paint' && !('FCP' in metrics.reported)) {
+                reportMetric('FCP', entry.startTime, document.body);
+            }
+        }
+        
+        function handleLcp(entry) {
+            metrics.lcp = entry;
+        }
+        
+        // CLS is the largest burst of shifts: windows close after a 1 s gap or 5 s total
+        function handleLayoutShift(entry) {
+            if (entry.hadRecentInput) return;
             
-            if (scrollInfo.scroll_percentage > STATE.maxScrollDepth) {
-                STATE.maxScrollDepth = scrollInfo.scroll_percentage;
+            const first = metrics.clsWindow[0];
+            const last = metrics.clsWindow[metrics.clsWindow.length - 1];
+            if (last && (entry.startTime - last.startTime > 1000 || entry.startTime - first.startTime > 5000)) {
+                metrics.clsWindow = [];
+                metrics.clsWindowValue = 0;
             }
             
-            logEvent('scroll', 'page', document.body, scrollInfo);
-        }, CONFIG.scrollThrottle);
+            metrics.clsWindow.push(entry);
+            metrics.clsWindowValue += entry.value;
+            
+            if (metrics.clsWindowValue > metrics.cls) {
+                metrics.cls = metrics.clsWindowValue;
+                const biggest = (entry.sources || []).reduce(function(best, source) {
+                    const area = source.currentRect ? source.currentRect.width * source.currentRect.height : 0;
+                    return !best || area > best.area ? { node: source.node, area: area } : best;
+                }, null);
+                if (biggest && biggest.node) metrics.clsSource = biggest.node;
+            }
+        }
+        
+        function handleInteraction(entry) {
+            if (!entry.interactionId) return;
+            const existing = metrics.interactions.get(entry.interactionId);
+            if (!existing || entry.duration > existing.duration) {
+                metrics.interactions.set(entry.interactionId, entry);
+            }
+        }
+        
+        // INP: the worst interaction, ignoring one outlier per 50 interactions
+        function getInp() {
+            const slowest = Array.from(metrics.interactions.values()).sort(function(a, b) {
+                return b.duration - a.duration;
+            });
+            if (slowest.length === 0) return null;
+            return slowest[Math.min(Math.floor(slowest.length / 50), slowest.length - 1)];
+        }
+        
+        function handleLongTask(entry) {
+            if (metrics.longTasks >= CONFIG.maxLongTaskEvents) return;
+            metrics.longTasks++;
+            
+            const attribution = entry.attribution && entry.attribution[0];
+            logEvent('performance', 'long_task', document.body, {
+                metric: 'long_task',
+                value: Math.round(entry.duration),
+                unit: 'ms',
+                rating: null,
+                start_time_ms: Math.round(entry.startTime),
+                container: attribution ? attribution.containerType : null,
+                container_src: attribution ? attribution.containerSrc : null
+            });
+        }
+        
+        function handleResource(entry) {
+            const size = entry.transferSize || entry.encodedBodySize || 0;
+            if (size < CONFIG.heavyResourceBytes && entry.duration < CONFIG.slowResourceMs) return;
+            if (metrics.resources.has(entry.name)) return;
+            metrics.resources.add(entry.name);
+            
+            logEvent('performance', 'resource', findElementByUrl(entry.name) || document.body, {
+                metric: 'resource',
+                value: Math.round(entry.duration),
+                unit: 'ms',
+                rating: null,
+                resource_url: entry.name,
+                initiator_type: entry.initiatorType,
+                transfer_size: entry.transferSize,
+                encoded_body_size: entry.encodedBodySize,
+                decoded_body_size: entry.decodedBodySize,
+                // 0 transfer with a body means it came from cache
+                from_cache: entry.transferSize === 0 && entry.decodedBodySize > 0
+            });
+        }
+        
+        // LCP, CLS and INP keep changing until the page is hidden, so they are
+        // reported then (again on later hides, if they changed)
+        function reportFinalMetrics() {
+            if (document.visibilityState !== 'hidden') return;
+            
+            if (metrics.lcp && metrics.reported.LCP !== metrics.lcp.startTime) {
+                reportMetric('LCP', metrics.lcp.startTime, metrics.lcp.element, {
+                    resource_url: metrics.lcp.url || null,
+                    size: metrics.lcp.size
+                });
+            }
+            
+            if (metrics.reported.CLS !== metrics.cls && metrics.clsWindow.length > 0) {
+                reportMetric('CLS', metrics.cls, metrics.clsSource);
+            }
+            
+            const inp = getInp();
+            if (inp && metrics.reported.INP !== inp.duration) {
+                reportMetric('INP', inp.duration, inp.target, {
+                    interaction_type: inp.name,
+                    interaction_count: metrics.interactions.size
+                });
+            }
+        }
+        
+        control('performance', {
+            start: function() {
+                if (typeof PerformanceObserver === 'undefined') return;
+                if (!metrics) resetMetrics();
+                observe('navigation', handleNavigation);
+                observe('paint', handlePaint);
+                observe('largest-contentful-paint', handleLcp);
+                observe('layout-shift', handleLayoutShift);
+                observe('event', handleInteraction, { durationThreshold: 40 });
+                observe('first-input', handleInteraction);
+                observe('longtask', handleLongTask);
+                observe('resource', handleResource);
+            },
+            stop: function() {
+                observers.forEach(function(observer) {
+                    observer.disconnect();
+                });
+                observers = [];
+            }
+        });
+        
+        listen('performance', document, 'visibilitychange', reportFinalMetrics);
     });
     
-    // MOUSE MOVEMENT (Throttled)
-    if (CONFIG.trackMouseMovement) {
-        let mouseMoveTimeout;
-        let lastMouseLog = 0;
+    // ERROR MONITORING (runtime errors, rejections, failed resources, console.error)
+    listenerGroup('errors', function() {
+        const breadcrumbs = [];
+        const seen = new Map();     // fingerprint -> { last_reported, suppressed }
+        let originalConsoleError = null;
+        let reporting = false;
+        
+        // V8: "    at fn (file:1:2)" / "    at file:1:2"
+        const CHROME_FRAME = /^\s*at (?:(?:async )?(.+?) \()?(.+?):(\d+):(\d+)\)?\s*$/;
+        // SpiderMonkey / JavaScriptCore: "fn@file:1:2" / "@file:1:2"
+        const GECKO_FRAME = /^\s*(.*?)@(.+?):(\d+)(?::(\d+))?\s*$/;
+        
+        function parseStack(stack) {
+            if (typeof stack !== 'string') return [];
+            
+            return stack.split('\n').map(function(line) {
+                const match = CHROME_FRAME.exec(line) || GECKO_FRAME.exec(line);
+                if (!match) return null;
+                return {
+                    function: match[1] || '<anonymous>',
+                    file: match[2],
+                    line: parseInt(match[3], 10),
+                    column: match[4] ? parseInt(match[4], 10) : null
+                };
+            }).filter(Boolean).slice(0, 20);
+        }
+        
+        // Numbers and quoted values vary between occurrences of the same bug
+        function normalizeMessage(message) {
+            return String(message)
+                .replace(/(["'`]).*?\1/g, '<str>')
+                .replace(/\d+/g, '<n>');
+        }
+        
+        function fingerprint(kind, message, frames) {
+            const top = frames.slice(0, 3).map(function(frame) {
+                return `${frame.file.split('?')[0]}:${frame.function}`;
+            });
+            return hashString([kind, normalizeMessage(message)].concat(top).join('|'));
+        }
+        
+        function describeReason(reason) {
+            if (reason instanceof Error) return reason;
+            if (reason && typeof reason === 'object' && reason.message) return reason;
+            try {
+                return { message: typeof reason === 'string' ? reason : JSON.stringify(reason) };
+            } catch (e) {
+                return { message: String(reason) };
+            }
+        }
+        
+        function reportError(kind, element, details) {
+            // An error while reporting an error must not loop back in here
+            if (reporting) return;
+            
+            const frames = details.frames || parseStack(details.stack);
+            const id = fingerprint(kind, details.message, frames);
+            const now = Date.now();
+            const previous = seen.get(id);
+            
+            if (previous && now - previous.last_reported < CONFIG.errorRepeatWindow) {
+                previous.suppressed++;
+                return;
+            }
+            
+            seen.set(id, { last_reported: now, suppressed: 0 });
+            
+            reporting = true;
+            try {
+                logEvent('error', kind, element || document.body, {
+                    message: String(details.message || 'Unknown error').substring(0, 500),
+                    error_name: details.name || null,
+                    source: details.source || null,
+                    line: details.line || null,
+                    column: details.column || null,
+                    frames: frames,
+                    fingerprint: id,
+                    // Repeats swallowed since this error was last reported
+                    occurrences: previous ? previous.suppressed + 1 : 1,
+                    // Cross-origin scripts without CORS only expose "Script error."
+                    cross_origin: details.message === 'Script error.' && !details.source,
+                    breadcrumbs: breadcrumbs.slice(),
+                    ...details.extra
+                });
+            } finally {
+                reporting = false;
+            }
+        }
+        
+        subscribe('*', function(event) {
+            if (event.type_of_event === 'error') return;
+            breadcrumbs.push({
+                type_of_event: event.type_of_event,
+                event_object: event.event_object,
+                element_path: event.element_path,
+                timestamp: event.timestamp
+            });
+            if (breadcrumbs.length > CONFIG.breadcrumbCount) {
+                breadcrumbs.splice(0, breadcrumbs.length - CONFIG.breadcrumbCount);
+            }
+        });
+        
+        // Capture phase: failed img/script/link loads don't bubble to window
+        listen('performance', window, 'error', function(e) {
+            const target = e.target;
+            
+            if (target && target !== window && target.tagName) {
+                const url = target.currentSrc || target.src || target.href || null;
+                reportError('resource', target, {
+                    message: `Failed to load ${target.tagName.toLowerCase()}: ${url}`,
+                    name: 'ResourceError',
+                    source: url,
+                    frames: [],
+                    extra: { resource_url: url }
+                });
+                return;
+            }
+            
+            const error = e.error || {};
+            reportError('runtime', null, {
+                message: e.message || error.message,
+                name: error.name,
+                stack: error.stack,
+                source: e.filename,
+                line: e.lineno,
+                column: e.colno
+            });
+        }, true);
+        
+        listen('performance', window, 'unhandledrejection', function(e) {
+            const reason = describeReason(e.reason);
+            reportError('unhandled_rejection', null, {
+                message: reason.message,
+                name: reason.name,
+                stack: reason.stack
+            });
+        });
+        
+        control('performance', {
+            start: function() {
+                if (!CONFIG.captureConsoleErrors || originalConsoleError) return;
+                originalConsoleError = console.error;
+                console.error = function(...args) {
+                    const error = args.find(function(arg) {
+                        return arg instanceof Error;
+                    });
+                    reportError('console', null, {
+                        message: args.map(function(arg) {
+                            return arg instanceof Error ? arg.message : String(arg);
+                        }).join(' '),
+                        name: error ? error.name : null,
+                        // Without an Error argument, the stack of this call (minus
+                        // this wrapper) is the best we have
+                        frames: parseStack(error ? error.stack : new Error().stack).slice(error ? 0 : 1)
+                    });
+                    return originalConsoleError.apply(console, args);
+                };
+            },
+            stop: function() {
+                if (!originalConsoleError) return;
+                console.error = originalConsoleError;
+                originalConsoleError = null;
+            }
+        });
+    });
+    
+    // FRUSTRATION SIGNALS (derived from clicks, errors and mouse movement)
+    listenerGroup('frustration', function() {
+        const INTERACTIVE = 'a, button, input, select, textarea, label, summary, option, ' +
+            '[role="button"], [role="link"], [onclick], [contenteditable=""], [contenteditable="true"], [tabindex]';
+        
+        let burst = null;           // { element, x, y, clicks, started, timer }
+        let lastClick = null;       // { element, x, y, time } for error clicks
+        const pendingDeadClicks = new Set();
+        let thrashSamples = [];
+        let lastThrash = 0;
+        
+        function reportBurst() {
+            const finished = burst;
+            burst = null;
+            if (finished.clicks < CONFIG.rageClickCount) return;
+            logEvent('rage_click', getElementType(finished.element), finished.element, {
+                coordinates: { x: finished.x, y: finished.y },
+                click_count: finished.clicks,
+                duration_ms: finished.last - finished.started
+            });
+        }
+        
+        function trackRageClick(e, now) {
+            if (burst && Math.hypot(e.clientX - burst.x, e.clientY - burst.y) <= CONFIG.rageClickRadius &&
+                now - burst.last <= CONFIG.rageClickWindow) {
+                burst.clicks++;
+                burst.last = now;
+                burst.element = e.target;
+                clearTimeout(burst.timer);
+            } else {
+                if (burst) {
+                    clearTimeout(burst.timer);
+                    reportBurst();
+                }
+                burst = { element: e.target, x: e.clientX, y: e.clientY, clicks: 1, started: now, last: now };
+            }
+            // Reported once the burst is over, with its final click count
+            burst.timer = setTimeout(reportBurst, CONFIG.rageClickWindow);
+        }
+        
+        // Only the page's own changes count: the tracker's overlays don't
+        function isPageMutation(record) {
+            const target = record.target.nodeType === 1 ? record.target : record.target.parentElement;
+            return !target || !closestElement(target, '[data-tracker-ui]');
+        }
+        
+        function watchDeadClick(e) {
+            const element = e.target;
+            if (closestElement(element, INTERACTIVE) || typeof MutationObserver === 'undefined') return;
+            // Repeated clicks on the same element are one dead click (and likely a rage click)
+            if (Array.from(pendingDeadClicks).some(function(pending) { return pending.element === element; })) return;
+            
+            const href = window.location.href;
+            const pending = { element, observer: null, timer: null };
+            pending.observer = new MutationObserver(function(records) {
+                if (!records.some(isPageMutation)) return;
+                finish();
+            });
+            
+            function finish() {
+                pending.observer.disconnect();
+                clearTimeout(pending.timer);
+                pendingDeadClicks.delete(pending);
+            }
+            
+            pending.observer.observe(document.documentElement, {
+                childList: true, subtree: true, attributes: true, characterData: true
+            });
+            pending.timer = setTimeout(function() {
+                finish();
+                if (window.location.href !== href) return;
+                logEvent('dead_click', getElementType(element), element, {
+                    coordinates: { x: e.clientX, y: e.clientY },
+                    wait_ms: CONFIG.deadClickTimeout
+                });
+            }, CONFIG.deadClickTimeout);
+            pendingDeadClicks.add(pending);
+        }
+        
+        listen('interaction', document, 'click', function(e) {
+            if (isIgnoredElement(e.target)) return;
+            const now = Date.now();
+            
+            lastClick = { element: e.target, x: e.clientX, y: e.clientY, time: now };
+            trackRageClick(e, now);
+            watchDeadClick(e);
+        }, true);
+        
+        subscribe('error', function(event) {
+            if (!lastClick) return;
+            const delay = Date.now() - lastClick.time;
+            if (delay > CONFIG.errorClickWindow) return;
+            
+            // One error click per click, however many errors follow it
+            const click = lastClick;
+            lastClick = null;
+            logEvent('error_click', getElementType(click.element), click.element, {
+                coordinates: { x: click.x, y: click.y },
+                error_message: event.message,
+                error_fingerprint: event.fingerprint,
+                delay_ms: delay
+            });
+        });
+        
+        function countReversals(values) {
+            let reversals = 0;
+            let direction = 0;
+            for (let i = 1; i < values.length; i++) {
+                const delta = values[i] - values[i - 1];
+                // Ignore jitter of a few pixels
+                if (Math.abs(delta) < 10) continue;
+                const sign = Math.sign(delta);
+                if (direction && sign !== direction) reversals++;
+                direction = sign;
+            }
+            return reversals;
+        }
+        
+        // Reads the trail the mouse movement listener above keeps
+        listen('interaction', document, 'mousemove', function() {
+            const point = STATE.mouseTrail[STATE.mouseTrail.length - 1];
+            if (!point) return;
+            
+            const previous = thrashSamples[thrashSamples.length - 1];
+            if (previous && point.time - previous.time < 50) return;
+            thrashSamples.push(point);
+            thrashSamples = thrashSamples.filter(function(sample) {
+                return point.time - sample.time <= CONFIG.thrashWindow;
+            });
+            
+            if (point.time - lastThrash < CONFIG.thrashWindow) return;
+            
+            const reversals = countReversals(thrashSamples.map(function(sample) { return sample.x; })) +
+                countReversals(thrashSamples.map(function(sample) { return sample.y; }));
+            if (reversals < CONFIG.thrashDirectionChanges) return;
+            
+            let distance = 0;
+            for (let i = 1; i < thrashSamples.length; i++) {
+                distance += Math.hypot(thrashSamples[i].x - thrashSamples[i - 1].x,
+                    thrashSamples[i].y - thrashSamples[i - 1].y);
+            }
+            
+            lastThrash = point.time;
+            logEvent('mouse_thrash', 'cursor', document.body, {
+                direction_changes: reversals,
+                distance_px: Math.round(distance),
+                duration_ms: point.time - thrashSamples[0].time
+            });
+            thrashSamples = [];
+        });
+        
+        control('interaction', {
+            start: function() {},
+            stop: function() {
+                if (burst) clearTimeout(burst.timer);
+                burst = null;
+                lastClick = null;
+                pendingDeadClicks.forEach(function(pending) {
+                    pending.observer.disconnect();
+                    clearTimeout(pending.timer);
+                });
+                pendingDeadClicks.clear();
+                thrashSamples = [];
+            }
+        });
+    });
+    
+    // FORM ANALYTICS (one session per form, from first interaction to submit or exit)
+    listenerGroup('forms', function() {
+        const sessions = new Map();     // form element -> session
+        const VALIDITY_FLAGS = [
+            'valueMissing', 'typeMismatch', 'patternMismatch', 'tooLong', 'tooShort',
+            'rangeUnderflow', 'rangeOverflow', 'stepMismatch', 'badInput', 'customError'
+        ];
+        
+        function getFormId(form) {
+            return form.id || form.getAttribute('name') || getElementPath(form);
+        }
+        
+        // Values stay in memory only, to tell refills apart from re-visits
+        function getFieldName(element) {
+            return element.getAttribute('name') || element.id || getElementPath(element);
+        }
+        
+        function getFormField(element) {
+            if (!element || !element.tagName || !['input', 'select', 'textarea'].includes(element.tagName.toLowerCase())) {
+                return null;
+            }
+            if (!element.form || element.type === 'hidden' || getFieldPolicy(element) === 'ignore') return null;
+            return element;
+        }
+        
+        function getSession(element) {
+            const form = element.form;
+            let session = sessions.get(form);
+            if (!session) {
+                const name = getFieldName(element);
+                session = {
+                    form_id: getFormId(form),
+                    started_at: Date.now(),
+                    fields: new Map(),
+                    field_order: [],
+                    last_field: null,
+                    submit_attempts: 0,
+                    validation_errors: 0,
+                    attempt_pending: false
+                };
+                sessions.set(form, session);
+                logEvent('form_start', 'form', form, { form_id: session.form_id, first_field: name });
+            }
+            return session;
+        }
+        
+        function getFieldStats(session, element) {
+            const name = getFieldName(element);
+            let field = session.fields.get(name);
+            if (!field) {
+                field = {
+                    name, time_ms: 0, focus_count: 0, input_count: 0, corrections: 0, refills: 0, errors: 0,
+                    focused_at: null, value_at_focus: null
+                };
+                session.fields.set(name, field);
+                session.field_order.push(name);
+            }
+            session.last_field = name;
+            return field;
+        }
+        
+        function closeField(field, element) {
+            if (field.focused_at === null) return;
+            field.time_ms += Date.now() - field.focused_at;
+            field.focused_at = null;
+            
+            // Changing a value that was already filled in is a refill
+            if (element && field.value_at_focus && element.value !== field.value_at_focus) {
+                field.refills++;
+            }
+            field.value_at_focus = null;
+        }
+        
+        function summarize(session) {
+            session.fields.forEach(function(field) {
+                closeField(field, null);
+            });
+            return {
+                form_id: session.form_id,
+                duration_ms: Date.now() - session.started_at,
+                field_order: session.field_order.slice(),
+                fields: Array.from(session.fields.values()).map(function(field) {
+                    return {
+                        name: field.name,
+                        time_ms: field.time_ms,
+                        focus_count: field.focus_count,
+                        input_count: field.input_count,
+                        corrections: field.corrections,
+                        refills: field.refills,
+                        errors: field.errors
+                    };
+                }),
+                last_field: session.last_field,
+                submit_attempts: session.submit_attempts,
+                validation_errors: session.validation_errors
+            };
+        }
+        
+        // Constraint validation fires 'invalid' on every failing field of one
+        // attempt in the same task, so they are counted as a single attempt
+        function countAttempt(session) {
+            if (session.attempt_pending) return;
+            session.submit_attempts++;
+            session.attempt_pending = true;
+            setTimeout(function() {
+                session.attempt_pending = false;
+            }, 0);
+        }
+        
+        listen('interaction', document, 'focus', function(e) {
+            const element = getFormField(e.target);
+            if (!element) return;
+            
+            const field = getFieldStats(getSession(element), element);
+            field.focus_count++;
+            field.focused_at = Date.now();
+            field.value_at_focus = element.value;
+        }, true);
+        
+        listen('interaction', document, 'blur', function(e) {
+            const element = getFormField(e.target);
+            const session = element && sessions.get(element.form);
+            if (!session) return;
+            
+            const field = session.fields.get(getFieldName(element));
+            if (field) closeField(field, element);
+        }, true);
+        
+        listen('interaction', document, 'input', function(e) {
+            const element = getFormField(e.target);
+            if (!element) return;
+            
+            const field = getFieldStats(getSession(element), element);
+            field.input_count++;
+            if (e.inputType && e.inputType.indexOf('delete') === 0) field.corrections++;
+        }, true);
+        
+        // 'invalid' doesn't bubble, hence the capture phase
+        listen('interaction', document, 'invalid', function(e) {
+            const element = getFormField(e.target);
+            if (!element) return;
+            
+            const session = getSession(element);
+            const field = getFieldStats(session, element);
+            field.errors++;
+            session.validation_errors++;
+            countAttempt(session);
+            
+            logEvent('form_invalid', 'form', element.form, {
+                form_id: session.form_id,
+                field: field.name,
+                validation_message: element.validationMessage || null,
+                validity: VALIDITY_FLAGS.filter(function(flag) {
+                    return element.validity && element.validity[flag];
+                })
+            });
+        }, true);
+        
+        // 'submit' only fires once validation has passed: a successful attempt
+        listen('interaction', document, 'submit', function(e) {
+            const form = e.target;
+            const session = sessions.get(form);
+            if (!session) return;
+            
+            countAttempt(session);
+            sessions.delete(form);
+            logEvent('form_submit', 'form', form, summarize(session));
+        }, true);
+        
+        subscribe('page_exit', function() {
+            sessions.forEach(function(session, form) {
+                logEvent('form_abandon', 'form', form, summarize(session));
+            });
+            sessions.clear();
+        });
+        
+        control('interaction', {
+            start: function() {},
+            stop: function() {
+                sessions.clear();
+            }
+        });
+    });
+    
+    // POINTER & GESTURES (tap, long-press, swipe, pinch; mostly for touch screens)
+    listenerGroup('gestures', function() {
+        const contacts = new Map();     // pointerId -> contact
+        let pinch = null;               // { contacts, start_distance, started }
+        
+        function getPointerDetails(e) {
+            return {
+                pointer_type: e.pointerType || 'unknown',
+                pointer_id: e.pointerId,
+                is_primary: Boolean(e.isPrimary),
+                coordinates: { x: e.clientX, y: e.clientY, pageX: e.pageX, pageY: e.pageY },
+                pressure: e.pressure || 0,
+                contact_size: { width: e.width || 0, height: e.height || 0 },
+                button: e.button
+            };
+        }
+        
+        function getDistance(a, b) {
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        }
+        
+        function logGesture(eventType, contact, details) {
+            logEvent(eventType, getElementType(contact.element), contact.element, {
+                pointer_type: contact.type,
+                ...details
+            });
+        }
+        
+        function startContact(e) {
+            const contact = {
+                type: e.pointerType || 'unknown',
+                element: e.target,
+                start: { x: e.clientX, y: e.clientY },
+                position: { x: e.clientX, y: e.clientY },
+                started: Date.now(),
+                long_pressed: false,
+                in_pinch: false,
+                touch_id: null,
+                handed_off: false,
+                timer: null
+            };
+            
+            // Mouse drags and clicks are covered by the mouse listeners
+            if (contact.type !== 'mouse') {
+                contact.timer = setTimeout(function() {
+                    if (contact.in_pinch || getDistance(contact.start, contact.position) > CONFIG.tapMaxMovement) return;
+                    contact.long_pressed = true;
+                    logGesture('long_press', contact, {
+                        coordinates: contact.start,
+                        duration_ms: Date.now() - contact.started
+                    });
+                }, CONFIG.longPressDelay);
+            }
+            contacts.set(e.pointerId, contact);
+            
+            const touches = Array.from(contacts.values()).filter(function(other) {
+                return other.type === 'touch';
+            });
+            if (contact.type === 'touch' && touches.length === 2 && !pinch) {
+                touches.forEach(function(touch) {
+                    touch.in_pinch = true;
+                });
+                pinch = { contacts: touches, start_distance: getDistance(touches[0].position, touches[1].position), started: Date.now() };
+            }
+        }
+        
+        function endPinch() {
+            const [a, b] = pinch.contacts;
+            const scale = pinch.start_distance ? getDistance(a.position, b.position) / pinch.start_distance : 1;
+            const started = pinch.started;
+            pinch = null;
+            if (Math.abs(scale - 1) < CONFIG.pinchMinScale) return;
+            
+            logEvent('pinch', 'gesture', a.element, {
+                direction: scale > 1 ? 'out' : 'in',
+                scale: Math.round(scale * 100) / 100,
+                duration_ms: Date.now() - started,
+                center: {
+                    x: Math.round((a.position.x + b.position.x) / 2),
+                    y: Math.round((a.position.y + b.position.y) / 2)
+                }
+            });
+        }
+        
+        function endContact(id) {
+            const contact = contacts.get(id);
+            if (!contact) return;
+            contacts.delete(id);
+            clearTimeout(contact.timer);
+            
+            if (pinch && pinch.contacts.includes(contact)) {
+                endPinch();
+                return;
+            }
+            if (contact.in_pinch || contact.long_pressed || contact.type === 'mouse') return;
+            
+            const duration = Date.now() - contact.started;
+            const dx = contact.position.x - contact.start.x;
+            const dy = contact.position.y - contact.start.y;
+            const distance = Math.hypot(dx, dy);
+            
+            if (distance >= CONFIG.swipeMinDistance && duration <= CONFIG.swipeMaxDuration) {
+                logGesture('swipe', contact, {
+                    direction: Math.abs(dx) > Math.abs(dy) ? (dx > 0 ? 'right' : 'left') : (dy > 0 ? 'down' : 'up'),
+                    distance_px: Math.round(distance),
+                    duration_ms: duration,
+                    velocity_px_ms: Math.round(distance / Math.max(duration, 1) * 100) / 100,
+                    start: contact.start,
+                    end: contact.position
+                });
+            } else if (distance <= CONFIG.tapMaxMovement && duration < CONFIG.longPressDelay) {
+                logGesture('tap', contact, { coordinates: contact.start, duration_ms: duration });
+            }
+        }
+        
+        listen('interaction', document, 'pointerdown', function(e) {
+            logEvent('pointer_down', getElementType(e.target), e.target, getPointerDetails(e));
+            startContact(e);
+        }, true);
+        
+        listen('interaction', document, 'pointermove', function(e) {
+            const contact = contacts.get(e.pointerId);
+            if (contact) contact.position = { x: e.clientX, y: e.clientY };
+        }, { capture: true, passive: true });
+        
+        listen('interaction', document, 'pointerup', function(e) {
+            const contact = contacts.get(e.pointerId);
+            logEvent('pointer_up', getElementType(e.target), e.target, {
+                ...getPointerDetails(e),
+                duration_ms: contact ? Date.now() - contact.started : 0
+            });
+            if (contact) contact.position = { x: e.clientX, y: e.clientY };
+            endContact(e.pointerId);
+        }, true);
+        
+        // Once the browser takes a touch over for scrolling or zooming, pointer
+        // events stop and the gesture is followed through touch events instead
+        listen('interaction', document, 'pointercancel', function(e) {
+            const contact = contacts.get(e.pointerId);
+            if (!contact) return;
+            if (contact.type === 'touch' && contact.touch_id !== null) {
+                contact.handed_off = true;
+            } else {
+                contacts.delete(e.pointerId);
+                clearTimeout(contact.timer);
+                if (pinch && pinch.contacts.includes(contact)) pinch = null;
+            }
+        }, true);
+        
+        function findTouchContact(touch, predicate) {
+            for (const [id, contact] of contacts) {
+                if (contact.type === 'touch' && predicate(contact, touch)) return id;
+            }
+            return null;
+        }
+        
+        // touchstart follows pointerdown for the same finger at the same spot
+        listen('interaction', document, 'touchstart', function(e) {
+            Array.from(e.changedTouches).forEach(function(touch) {
+                const id = findTouchContact(touch, function(contact) {
+                    return contact.touch_id === null &&
+                        Math.abs(contact.start.x - touch.clientX) < 1 && Math.abs(contact.start.y - touch.clientY) < 1;
+                });
+                if (id !== null) contacts.get(id).touch_id = touch.identifier;
+            });
+        }, { capture: true, passive: true });
+        
+        listen('interaction', document, 'touchmove', function(e) {
+            Array.from(e.changedTouches).forEach(function(touch) {
+                const id = findTouchContact(touch, function(contact) {
+                    return contact.handed_off && contact.touch_id === touch.identifier;
+                });
+                if (id !== null) contacts.get(id).position = { x: touch.clientX, y: touch.clientY };
+            });
+        }, { capture: true, passive: true });
         
-        document.addEventListener('mousemove', function(e) {
-            STATE.mouseTrail.push({ x: e.clientX, y: e.clientY, time: Date.now() });
-            if (STATE.mouseTrail.length > 10) STATE.mouseTrail.shift();
-            
-            const now = Date.now();
-            if (now - lastMouseLog > CONFIG.mouseMoveThrottle) {
-                lastMouseLog = now;
-                
-                logEvent('mouse_move', 'cursor', e.target, {
-                    coordinates: { x: e.clientX, y: e.clientY },
-                    movement: { x: e.movementX, y: e.movementY },
-                    buttons: e.buttons
+        ['touchend', 'touchcancel'].forEach(function(type) {
+            listen('interaction', document, type, function(e) {
+                Array.from(e.changedTouches).forEach(function(touch) {
+                    const id = findTouchContact(touch, function(contact) {
+                        return contact.handed_off && contact.touch_id === touch.identifier;
+                    });
+                    if (id !== null) endContact(id);
                 });
-            }
+            }, { capture: true, passive: true });
         });
-    }
-    
-    // MOUSE ENTER/LEAVE
-    document.addEventListener('mouseenter', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
         
-        if (element.tagName && ['button', 'a', 'img'].includes(element.tagName.toLowerCase())) {
-            logEvent('mouse_enter', elementType, element);
+        function handleOrientationChange() {
+            const orientation = window.screen.orientation;
+            logEvent('orientation_change', 'device', document.body, {
+                orientation: orientation ? orientation.type :
+                    (window.innerWidth > window.innerHeight ? 'landscape' : 'portrait'),
+                angle: orientation ? orientation.angle : (window.orientation || 0),
+                viewport: { width: window.innerWidth, height: window.innerHeight }
+            });
         }
-    }, true);
-    
-    document.addEventListener('mouseleave', function(e) {
-        const element = e.target;
-        const elementType = getElementType(element);
         
-        if (element.tagName && ['button', 'a', 'img'].includes(element.tagName.toLowerCase())) {
-            logEvent('mouse_leave', elementType, element);
+        if (window.screen.orientation && window.screen.orientation.addEventListener) {
+            listen('interaction', window.screen.orientation, 'change', handleOrientationChange);
+        } else {
+            listen('interaction', window, 'orientationchange', handleOrientationChange);
         }
-    }, true);
+        
+        control('interaction', {
+            start: function() {},
+            stop: function() {
+                contacts.forEach(function(contact) {
+                    clearTimeout(contact.timer);
+                });
+                contacts.clear();
+                pinch = null;
+            }
+        });
+    });
     
-    // CLIPBOARD EVENTS
-    if (CONFIG.trackClipboard) {
-        document.addEventListener('copy', function(e) {
-            const selection = window.getSelection().toString();
-            logEvent('copy', 'text', e.target, {
-                text_length: selection.length,
-                text_preview: selection.substring(0, 50)
+    // ENGAGEMENT (engaged time per page and per <section>, heartbeats)
+    listenerGroup('engagement', function() {
+        let sectionObserver = null;
+        let heartbeatTimer = null;
+        
+        // Tall sections never reach a high intersection ratio, so covering
+        // half the viewport counts as well
+        function handleSections(entries) {
+            updateEngagement();
+            entries.forEach(function(entry) {
+                const coversViewport = entry.intersectionRect.height >= window.innerHeight / 2;
+                if (entry.isIntersecting && (entry.intersectionRatio >= 0.5 || coversViewport)) {
+                    ENGAGEMENT.visibleSections.add(entry.target);
+                } else {
+                    ENGAGEMENT.visibleSections.delete(entry.target);
+                }
             });
-        });
+        }
         
-        document.addEventListener('cut', function(e) {
-            const selection = window.getSelection().toString();
-            logEvent('cut', 'text', e.target, {
-                text_length: selection.length,
-                text_preview: selection.substring(0, 50)
+        // Engaged time is kept for sections seen before a stop or a route change
+        function observeSections() {
+            document.querySelectorAll('section').forEach(function(section) {
+                if (isIgnoredElement(section)) return;
+                if (!ENGAGEMENT.sections.has(section)) {
+                    ENGAGEMENT.sections.set(section, { section: getSectionName(section), engaged_ms: 0 });
+                }
+                if (sectionObserver) sectionObserver.observe(section);
             });
-        });
+        }
         
-        document.addEventListener('paste', function(e) {
-            logEvent('paste', 'text', e.target, {
-                element_type: getElementType(e.target)
+        function sendHeartbeat() {
+            if (!isEngaged()) return;
+            
+            const sections = getSectionEngagement();
+            const engaged = getEngagedTime();
+            logEvent('heartbeat', 'session', document.body, {
+                engaged_time_ms: engaged,
+                engaged_since_last_ms: engaged - ENGAGEMENT.reportedMs,
+                attention_score: getAttentionScore(),
+                sections: sections,
+                visible_sections: Array.from(ENGAGEMENT.visibleSections).map(function(section) {
+                    return ENGAGEMENT.sections.get(section).section;
+                })
             });
+            ENGAGEMENT.reportedMs = engaged;
+        }
+        
+        listen('interaction', document, 'visibilitychange', updateEngagement);
+        ['focus', 'blur'].forEach(function(type) {
+            listen('interaction', window, type, updateEngagement);
         });
-    }
-    
-    // WINDOW RESIZE (Throttled)
-    let resizeTimeout;
-    window.addEventListener('resize', function() {
-        clearTimeout(resizeTimeout);
-        resizeTimeout = setTimeout(function() {
-            logEvent('resize', 'window', document.body, {
-                viewport: {
-                    width: window.innerWidth,
-                    height: window.innerHeight
-                },
-                orientation: window.screen.orientation ? window.screen.orientation.type : 'unknown'
-            });
-        }, CONFIG.resizeThrottle);
-    });
-    
-    // PAGE VISIBILITY CHANGE
-    document.addEventListener('visibilitychange', function() {
-        logEvent('visibility_change', 'page', document.body, {
-            visibility_state: document.visibilityState,
-            hidden: document.hidden
+        
+        // A new route brings new sections along
+        subscribe('page_view', function(event) {
+            if (ENGAGEMENT.active && event.event_object === 'route') observeSections();
         });
-    });
-    
-    // ONLINE/OFFLINE
-    window.addEventListener('online', function() {
-        logEvent('connection', 'online', document.body);
-    });
-    
-    window.addEventListener('offline', function() {
-        logEvent('connection', 'offline', document.body);
-    });
-    
-    // BEFORE UNLOAD (Page Exit)
-    window.addEventListener('beforeunload', function() {
-        logEvent('page_exit', 'page', document.body, {
-            time_on_page: Date.now() - STATE.sessionStart.getTime(),
-            total_events: STATE.eventCount,
-            max_scroll_depth: STATE.maxScrollDepth
+        
+        control('interaction', {
+            start: function() {
+                ENGAGEMENT.active = true;
+                updateEngagement();
+                
+                if (typeof IntersectionObserver !== 'undefined') {
+                    sectionObserver = new IntersectionObserver(handleSections, {
+                        threshold: [0, 0.25, 0.5, 0.75, 1]
+                    });
+                }
+                observeSections();
+                
+                if (CONFIG.heartbeatInterval > 0) {
+                    heartbeatTimer = setInterval(sendHeartbeat, CONFIG.heartbeatInterval);
+                }
+            },
+            stop: function() {
+                updateEngagement();
+                ENGAGEMENT.active = false;
+                ENGAGEMENT.since = null;
+                clearInterval(heartbeatTimer);
+                if (sectionObserver) sectionObserver.disconnect();
+                sectionObserver = null;
+                ENGAGEMENT.visibleSections.clear();
+            }
         });
     });
     
-    // MEDIA EVENTS (Video/Audio)
-    document.addEventListener('play', function(e) {
-        if (e.target.tagName && ['video', 'audio'].includes(e.target.tagName.toLowerCase())) {
-            logEvent('media_play', e.target.tagName.toLowerCase(), e.target, {
-                current_time: e.target.currentTime,
-                duration: e.target.duration,
-                src: e.target.src
-            });
+    // LINK TRACKING (outbound, internal, downloads, mailto/tel)
+    listenerGroup('links', function() {
+        let navigatingClick = null;
+        
+        function getFileExtension(url) {
+            const match = /\.([a-z0-9]+)$/i.exec(url.pathname);
+            return match ? match[1].toLowerCase() : null;
         }
-    }, true);
-    
-    document.addEventListener('pause', function(e) {
-        if (e.target.tagName && ['video', 'audio'].includes(e.target.tagName.toLowerCase())) {
-            logEvent('media_pause', e.target.tagName.toLowerCase(), e.target, {
-                current_time: e.target.currentTime,
-                duration: e.target.duration
-            });
+        
+        function getLinkText(link) {
+            const image = link.querySelector('img[alt]');
+            const text = link.textContent.trim() || link.getAttribute('aria-label') || link.title ||
+                (image ? image.getAttribute('alt') : '') || '';
+            return text ? captureText(link, text.replace(/\s+/g, ' '), 100) : null;
         }
-    }, true);
-    
-    document.addEventListener('ended', function(e) {
-        if (e.target.tagName && ['video', 'audio'].includes(e.target.tagName.toLowerCase())) {
-            logEvent('media_ended', e.target.tagName.toLowerCase(), e.target);
+        
+        function classifyLink(link, url) {
+            if (url.protocol === 'mailto:') return 'mailto';
+            if (url.protocol === 'tel:' || url.protocol === 'sms:') return 'tel';
+            if (link.hasAttribute('download') || CONFIG.downloadExtensions.includes(getFileExtension(url))) {
+                return 'download';
+            }
+            return isInternalHost(url.hostname.toLowerCase()) ? 'internal' : 'outbound';
         }
-    }, true);
-    
-    // SELECTION EVENTS
-    document.addEventListener('selectionchange', function() {
-        const selection = window.getSelection();
-        if (selection.toString().length > 0) {
-            logEvent('text_selection', 'text', selection.anchorNode ? selection.anchorNode.parentElement : null, {
-                selected_text: selection.toString().substring(0, 100),
-                selection_length: selection.toString().length
+        
+        function handleLinkClick(e) {
+            const link = closestElement(e.target, 'a[href], area[href]');
+            if (!link || isIgnoredElement(link)) return;
+            
+            let url;
+            try {
+                url = new URL(link.href, window.location.href);
+            } catch (error) {
+                return;
+            }
+            if (url.protocol === 'javascript:') return;
+            
+            const linkType = classifyLink(link, url);
+            const target = link.getAttribute('target');
+            const opensNewTab = e.type === 'auxclick' || e.ctrlKey || e.metaKey || e.shiftKey ||
+                Boolean(target && target !== '_self' && target !== '_top' && target !== '_parent');
+            
+            logEvent('link_click', getElementType(link), link, {
+                link_type: linkType,
+                href: ['mailto', 'tel'].includes(linkType) ? url.href : stripTrackingParams(url.href),
+                link_domain: url.hostname || null,
+                target: target,
+                link_text: getLinkText(link),
+                file_extension: linkType === 'download' ? getFileExtension(url) : null,
+                opens_new_tab: opensNewTab
             });
+            
+            // Whether the page actually unloads is only known once the page's
+            // own handlers have run (routers cancel internal links)
+            const leavesPage = !opensNewTab && !['mailto', 'tel', 'download'].includes(linkType);
+            navigatingClick = leavesPage ? e : null;
         }
+        
+        listen('interaction', document, 'click', handleLinkClick, true);
+        
+        // Middle-click opens the link in a new tab
+        listen('interaction', document, 'auxclick', function(e) {
+            if (e.button === 1) handleLinkClick(e);
+        }, true);
+        
+        // Bubble phase on window: after the page's handlers. Send the queue
+        // now, as the page may be gone before the next flush.
+        listen('interaction', window, 'click', function(e) {
+            if (e !== navigatingClick) return;
+            navigatingClick = null;
+            if (!e.defaultPrevented) flushWithBeacon();
+        });
     });
     
-    // DRAG AND DROP
-    document.addEventListener('dragstart', function(e) {
-        logEvent('drag_start', getElementType(e.target), e.target);
-    }, true);
-    
-    document.addEventListener('dragend', function(e) {
-        logEvent('drag_end', getElementType(e.target), e.target);
-    }, true);
-    
-    document.addEventListener('drop', function(e) {
-        logEvent('drop', getElementType(e.target), e.target, {
-            files_count: e.dataTransfer.files.length,
-            types: Array.from(e.dataTransfer.types)
-        });
-    }, true);
+    // SESSION RECORDING
+    listenerGroup('recording', function() {
+        control('interaction', { start: startRecorder, stop: stopRecorder });
+    });
+    subscribe('*', recordTrackedEvent);
     
-    // ELEMENT VISIBILITY TRACKING (Intersection Observer)
-    if (CONFIG.trackVisibility) {
-        const observer = new IntersectionObserver(function(entries) {
-            entries.forEach(function(entry) {
-                if (entry.isIntersecting && !STATE.observedElements.has(entry.target)) {
-                    STATE.observedElements.add(entry.target);
-                    const elementType = getElementType(entry.target);
-                    logEvent('view', elementType, entry.target, {
-                        visibility_ratio: Math.round(entry.intersectionRatio * 100) + '%',
-                        bounding_rect: entry.boundingClientRect
-                    });
-                }
-            });
-        }, { threshold: CONFIG.visibilityThreshold });
-        
-        // Observe all potentially interesting elements
-        setTimeout(function() {
-            const selector = 'button, a, img, video, audio, select, input, textarea, h1, h2, h3, [role="button"], [data-track]';
-            const elementsToObserve = document.querySelectorAll(selector);
-            elementsToObserve.forEach(function(el) {
-                observer.observe(el);
-            });
-        }, 1000);
-    }
+    // GOALS & FUNNELS
+    subscribe('*', evaluateGoals);
     
     // IDLE DETECTION
     let idleTimer;
@@ -574,6 +5416,7 @@
         clearTimeout(idleTimer);
         if (STATE.isIdle) {
             STATE.isIdle = false;
+            updateEngagement();
             logEvent('user_active', 'session', document.body, {
                 idle_duration_ms: Date.now() - STATE.lastActivity.getTime()
             });
@@ -581,6 +5424,7 @@
         
         idleTimer = setTimeout(function() {
             STATE.isIdle = true;
+            updateEngagement();
             logEvent('user_idle', 'session', document.body, {
                 idle_timeout_ms: CONFIG.idleTimeout,
                 last_activity: STATE.lastActivity.toISOString()
@@ -589,10 +5433,46 @@
     }
     
     ['mousedown', 'mousemove', 'keypress', 'scroll', 'touchstart', 'click'].forEach(function(event) {
-        document.addEventListener(event, resetIdleTimer, true);
+        listen('interaction', document, event, resetIdleTimer, true);
+    });
+    
+    control('interaction', {
+        start: resetIdleTimer,
+        stop: function() {
+            clearTimeout(idleTimer);
+        }
+    });
+    
+    // DEBUG PANEL SHORTCUT
+    listen('necessary', document, 'keydown', function(e) {
+        if (CONFIG.debugShortcut && matchesShortcut(e, CONFIG.debugShortcut)) {
+            e.preventDefault();
+            toggleDebugPanel();
+        }
+    }, true);
+    
+    // DELIVERY
+    // Registered after the tracking listeners above so the events they log
+    // for the same DOM event are already queued when these run
+    listen('necessary', window, 'load', function() {
+        // Deliver whatever an earlier page load or offline spell left behind
+        drainPersistedQueue();
+    });
+    
+    listen('necessary', window, 'online', function() {
+        drainPersistedQueue();
+    });
+    
+    listen('necessary', document, 'visibilitychange', function() {
+        // Last reliable moment on mobile, where beforeunload often never fires
+        if (document.visibilityState === 'hidden') {
+            flushWithBeacon();
+        }
     });
     
-    resetIdleTimer();
+    listen('necessary', window, 'beforeunload', function() {
+        flushWithBeacon();
+    });
     
     // ============================================
     // PUBLIC API
@@ -606,10 +5486,185 @@
                 max_scroll_depth: STATE.maxScrollDepth,
                 current_scroll: getScrollInfo().scroll_percentage,
                 is_idle: STATE.isIdle,
-                last_activity: STATE.lastActivity.toISOString()
+                engaged_time_ms: getEngagedTime(),
+                attention_score: getAttentionScore(),
+                last_activity: STATE.lastActivity.toISOString(),
+                queued_events: TRANSPORT.queue.length,
+                sent_events: TRANSPORT.sent,
+                failed_events: TRANSPORT.failed,
+                dropped_events: TRANSPORT.dropped,
+                queue_storage: PERSISTENCE.backend || 'pending',
+                visitor_id: IDENTITY.visitorId,
+                session_id: IDENTITY.session ? IDENTITY.session.id : null,
+                page_sequence: IDENTITY.session ? IDENTITY.session.page_count : 0,
+                pending_consent_events: CONSENT.buffer.length,
+                stored_events: EVENT_STORE.buffer.length,
+                dropped_stored_events: EVENT_STORE.dropped,
+                running: MANAGER.running
+            };
+        },
+        
+        grantConsent: function(categories) {
+            updateConsent(categories, 'granted');
+        },
+        
+        denyConsent: function(categories) {
+            updateConsent(categories, 'denied');
+        },
+        
+        use: function(middleware) {
+            if (typeof middleware !== 'function') {
+                throw new TypeError('EventTracker.use expects a function');
+            }
+            MIDDLEWARE.push(middleware);
+            return function() {
+                removeFrom(MIDDLEWARE, middleware);
+            };
+        },
+        
+        on: function(eventType, handler) {
+            return subscribe(eventType, handler);
+        },
+        
+        off: function(eventType, handler) {
+            unsubscribe(eventType, handler);
+        },
+        
+        // options: { events: exportedEvents, layers: ['clicks', 'scroll', 'attention'], radius: 30 }
+        showHeatmap: function(options) {
+            showHeatmap(options);
+        },
+        
+        hideHeatmap: function() {
+            hideHeatmap();
+        },
+        
+        // steps: ['view h2 Skills', 'click a[href^=mailto]', 'submit form']
+        // options: { within: ms without progress before a drop-off }
+        defineFunnel: function(name, steps, options) {
+            defineFunnel(name, steps, options);
+        },
+        
+        defineGoal: function(name, step, options) {
+            defineFunnel(name, [step], options);
+        },
+        
+        removeFunnel: function(name) {
+            removeFunnel(name);
+        },
+        
+        getAttribution: function() {
+            return JSON.parse(JSON.stringify(getAttribution()));
+        },
+        
+        getFunnelProgress: function() {
+            return JSON.parse(JSON.stringify(GOALS.progress));
+        },
+        
+        showDebugPanel: function() {
+            showDebugPanel();
+        },
+        
+        hideDebugPanel: function() {
+            hideDebugPanel();
+        },
+        
+        toggleDebugPanel: function() {
+            toggleDebugPanel();
+        },
+        
+        startRecording: function() {
+            this.updateConfig({ recordSession: true });
+        },
+        
+        stopRecording: function() {
+            this.updateConfig({ recordSession: false });
+        },
+        
+        exportRecording: function() {
+            return exportRecording();
+        },
+        
+        downloadRecording: function(filename) {
+            downloadFile(JSON.stringify(exportRecording()), filename || `recording-${Date.now()}.json`, 'application/json');
+        },
+        
+        // filter: { type, since, until, selector, session, limit }
+        getEvents: function(filter) {
+            return queryEvents(filter);
+        },
+        
+        getEventCounts: function(filter) {
+            return countEventsByType(filter);
+        },
+        
+        // options: the getEvents filter plus type (default 'click') and limit (default 10)
+        getTopElements: function(options) {
+            return getTopElements(options);
+        },
+        
+        // format: 'json' | 'ndjson' | 'csv'; downloads the file and returns its content
+        export: function(format, filter) {
+            format = format || 'json';
+            const spec = EXPORT_FORMATS[format];
+            if (!spec) {
+                console.warn(`EventTracker: unknown export format "${format}", use json, ndjson or csv`);
+                return null;
+            }
+            
+            const content = exportEvents(format, filter);
+            const session = IDENTITY.session ? IDENTITY.session.id : 'no-session';
+            downloadFile(content, `events-${session}-${Date.now()}.${spec.extension}`, spec.mimeType);
+            return content;
+        },
+        
+        getJsonSchema: function(eventType) {
+            const schemas = getJsonSchemas();
+            return eventType ? schemas[eventType] || null : schemas;
+        },
+        
+        getQuarantinedEvents: function() {
+            return QUARANTINE.slice();
+        },
+        
+        getConsent: function() {
+            return {
+                categories: { ...CONSENT.state },
+                source: CONSENT.source,
+                decided_at: CONSENT.decidedAt,
+                version: CONFIG.consentVersion,
+                privacy_signal: getPrivacySignal()
+            };
+        },
+        
+        getSession: function() {
+            return {
+                visitor_id: IDENTITY.visitorId,
+                is_new_visitor: IDENTITY.isNewVisitor,
+                ...IDENTITY.session
             };
         },
         
+        flush: function() {
+            return flushQueue();
+        },
+        
+        start: function() {
+            startTracking();
+        },
+        
+        stop: function() {
+            stopTracking();
+        },
+        
+        destroy: function() {
+            destroyTracking();
+        },
+        
+        registerTransport: function(name, sendFn) {
+            TRANSPORTS[name] = sendFn;
+        },
+        
         logCustomEvent: function(eventName, eventObject, additionalInfo) {
             logEvent(eventName, eventObject, document.activeElement, additionalInfo);
         },
@@ -620,7 +5675,32 @@
         
         updateConfig: function(newConfig) {
             Object.assign(CONFIG, newConfig);
-            console.log('Config updated:', CONFIG);
+            if (CONFIG.logLevel === 'verbose') console.debug('Config updated:', CONFIG);
+            
+            // Groups toggled on or off attach or detach right away
+            syncListeners();
+            if ('visibilityThreshold' in newConfig) {
+                restartGroup('visibility');
+            }
+            if ('captureConsoleErrors' in newConfig) {
+                restartGroup('errors');
+            }
+            if ('heartbeatInterval' in newConfig) {
+                restartGroup('engagement');
+            }
+            
+            // A collector configured after load should still get stored events
+            if ('endpoint' in newConfig || 'transport' in newConfig) {
+                drainPersistedQueue();
+            }
+            
+            // Re-resolve categories the visitor hasn't decided on themselves
+            if (('requireConsent' in newConfig || 'respectDoNotTrack' in newConfig) &&
+                !CONSENT.decidedAt) {
+                initConsent();
+                syncListeners();
+                releaseConsentBuffer();
+            }
         },
         
         getSummary: function() {
@@ -642,9 +5722,27 @@
     // INITIALIZATION
     // ============================================
     
-    console.log('%c🚀 Universal Event Tracker Initialized', 
-        'color: white; background: #4caf50; padding: 8px 16px; border-radius: 4px; font-weight: bold; font-size: 14px;');
-    console.log('📊 Tracking: clicks, views, scrolls, keyboard, mouse, forms, media, visibility, and more');
-    console.log('⚙️  Config: window.EventTracker.updateConfig({ scrollThrottle: 1000 })');
+    initConsent();
+    syncListeners();
+    initSession();
+    initAttribution();
+    initGoals();
+    
+    if (DEBUG_MODE) {
+        if (document.body) {
+            showDebugPanel();
+        } else {
+            document.addEventListener('DOMContentLoaded', showDebugPanel);
+        }
+    }
+    
+    if (CONFIG.logLevel !== 'silent') {
+        console.log('%c🚀 Universal Event Tracker Initialized', 
+            'color: white; background: #4caf50; padding: 8px 16px; border-radius: 4px; font-weight: bold; font-size: 14px;');
+        console.log('📊 Tracking: clicks, views, scrolls, keyboard, mouse, forms, media, visibility, and more');
+        console.log('⚙️  Config: window.EventTracker.updateConfig({ scrollThrottle: 1000 })');
+        console.log('📡 Collector: node collector.js, then window.EventTracker.updateConfig({ endpoint: \'http://localhost:8080/collect\' })');
+        console.log(`🐞 Debug panel: ${CONFIG.debugShortcut} or ?tracker_debug=1`);
+    }
     
 })();
\ No newline at end of file
@@ -0,0 +1,439 @@
+// ============================================
+// SESSION REPLAY PLAYER
+// Plays back recordings exported by event-tracker.js
+// (EventTracker.downloadRecording())
+// ============================================
+
+(function() {
+    'use strict';
+    
+    const SUPPORTED_VERSION = 1;
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    
+    // Same palette as the tracker's console output
+    const FRAME_COLORS = {
+        snapshot: '#9c27b0',
+        click: '#667eea',
+        input: '#00bcd4',
+        viewport: '#3f51b5'
+    };
+    
+    const PLAYER = {
+        recording: null,
+        frames: [],
+        startTime: 0,
+        duration: 0,
+        position: 0,        // ms since the first frame
+        nextFrame: 0,       // index of the next frame to apply
+        playing: false,
+        speed: 1,
+        lastTick: null,
+        nodes: new Map(),   // recorded node id -> rebuilt node
+        viewport: { width: 1024, height: 768 }
+    };
+    
+    const ui = {
+        file: document.getElementById('file'),
+        play: document.getElementById('play'),
+        speed: document.getElementById('speed'),
+        timeline: document.getElementById('timeline'),
+        markers: document.getElementById('markers'),
+        time: document.getElementById('time'),
+        stage: document.getElementById('stage'),
+        empty: document.getElementById('empty'),
+        viewport: document.getElementById('viewport'),
+        frame: document.getElementById('frame'),
+        cursor: document.getElementById('cursor'),
+        log: document.getElementById('log')
+    };
+    
+    // ============================================
+    // UTILITY FUNCTIONS
+    // ============================================
+    
+    function formatTime(ms) {
+        const seconds = Math.max(Math.floor(ms / 1000), 0);
+        return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+    
+    function relativeTime(frame) {
+        return frame.t - PLAYER.startTime;
+    }
+    
+    function getDocument() {
+        return ui.frame.contentDocument;
+    }
+    
+    // ============================================
+    // DOM REBUILDING
+    // ============================================
+    
+    function setAttributeSafe(element, name, value) {
+        try {
+            element.setAttribute(name, value);
+        } catch (e) {
+            // Names that were legal in the recorded page's parser but not for setAttribute
+        }
+    }
+    
+    function buildNode(data, doc) {
+        let node;
+        
+        if (data.type === 3) {
+            node = doc.createTextNode(data.text);
+        } else {
+            node = data.svg ? doc.createElementNS(SVG_NS, data.tag) : doc.createElement(data.tag);
+            Object.keys(data.attributes).forEach(function(name) {
+                setAttributeSafe(node, name, data.attributes[name]);
+            });
+            data.children.forEach(function(child) {
+                node.appendChild(buildNode(child, doc));
+            });
+            // After the children, so a <select> has its options
+            if (data.value !== undefined) node.value = data.value;
+            if (data.checked) node.checked = true;
+        }
+        
+        PLAYER.nodes.set(data.id, node);
+        return node;
+    }
+    
+    function renderSnapshot(frame) {
+        const doc = getDocument();
+        PLAYER.nodes.clear();
+        
+        const root = buildNode(frame.node, doc);
+        doc.replaceChild(root, doc.documentElement);
+        
+        setViewport(frame.viewport);
+        scrollTo(frame.scroll.x, frame.scroll.y);
+    }
+    
+    function applyMutation(frame) {
+        const doc = getDocument();
+        
+        frame.removes.forEach(function(remove) {
+            const node = PLAYER.nodes.get(remove.id);
+            if (node && node.parentNode) node.parentNode.removeChild(node);
+        });
+        
+        frame.adds.forEach(function(add) {
+            const parent = PLAYER.nodes.get(add.parent_id);
+            if (!parent) return;
+            const next = add.next_id ? PLAYER.nodes.get(add.next_id) : null;
+            parent.insertBefore(buildNode(add.node, doc), next && next.parentNode === parent ? next : null);
+        });
+        
+        frame.attributes.forEach(function(change) {
+            const element = PLAYER.nodes.get(change.id);
+            if (!element) return;
+            if (change.value === null) {
+                element.removeAttribute(change.name);
+            } else {
+                setAttributeSafe(element, change.name, change.value);
+            }
+        });
+        
+        frame.texts.forEach(function(change) {
+            const node = PLAYER.nodes.get(change.id);
+            if (node) node.textContent = change.text;
+        });
+    }
+    
+    // ============================================
+    // VIEWPORT, CURSOR & SCROLL
+    // ============================================
+    
+    function setViewport(viewport) {
+        PLAYER.viewport = viewport;
+        ui.frame.style.width = `${viewport.width}px`;
+        ui.frame.style.height = `${viewport.height}px`;
+        fitToStage();
+    }
+    
+    function fitToStage() {
+        const scale = Math.min(
+            1,
+            (ui.stage.clientWidth - 32) / PLAYER.viewport.width,
+            (ui.stage.clientHeight - 32) / PLAYER.viewport.height
+        );
+        ui.viewport.style.transform = `scale(${scale})`;
+        // A transform doesn't change layout size, so shrink the box to match
+        ui.viewport.style.width = `${PLAYER.viewport.width}px`;
+        ui.viewport.style.height = `${PLAYER.viewport.height}px`;
+        ui.viewport.style.marginRight = `${PLAYER.viewport.width * (scale - 1)}px`;
+        ui.viewport.style.marginBottom = `${PLAYER.viewport.height * (scale - 1)}px`;
+    }
+    
+    function scrollTo(x, y) {
+        const win = ui.frame.contentWindow;
+        if (win) win.scrollTo(x, y);
+    }
+    
+    function moveCursor(x, y) {
+        ui.cursor.style.transform = `translate(${x}px, ${y}px)`;
+    }
+    
+    function showClick(x, y) {
+        const ripple = document.createElement('div');
+        ripple.className = 'ripple';
+        ripple.style.left = `${x}px`;
+        ripple.style.top = `${y}px`;
+        ui.viewport.appendChild(ripple);
+        setTimeout(function() {
+            ripple.remove();
+        }, 600);
+    }
+    
+    // ============================================
+    // PLAYBACK
+    // ============================================
+    
+    // live = false while seeking: state is applied without animations
+    function applyFrame(frame, live) {
+        switch (frame.type) {
+            case 'snapshot':
+                renderSnapshot(frame);
+                break;
+            case 'mutation':
+                applyMutation(frame);
+                break;
+            case 'mouse':
+                moveCursor(frame.x, frame.y);
+                break;
+            case 'click':
+                moveCursor(frame.x, frame.y);
+                if (live) showClick(frame.x, frame.y);
+                break;
+            case 'scroll':
+                scrollTo(frame.x, frame.y);
+                break;
+            case 'viewport':
+                setViewport({ width: frame.width, height: frame.height });
+                break;
+            case 'input': {
+                const field = PLAYER.nodes.get(frame.id);
+                if (field) {
+                    field.value = frame.value;
+                    field.checked = frame.checked;
+                }
+                break;
+            }
+        }
+    }
+    
+    function applyFramesUntil(position, live) {
+        while (PLAYER.nextFrame < PLAYER.frames.length &&
+            relativeTime(PLAYER.frames[PLAYER.nextFrame]) <= position) {
+            applyFrame(PLAYER.frames[PLAYER.nextFrame], live);
+            PLAYER.nextFrame++;
+        }
+    }
+    
+    // Rebuild from the last snapshot before the target and fast-forward
+    function seek(position) {
+        PLAYER.position = Math.min(Math.max(position, 0), PLAYER.duration);
+        
+        let snapshotIndex = 0;
+        PLAYER.frames.forEach(function(frame, index) {
+            if (frame.type === 'snapshot' && relativeTime(frame) <= PLAYER.position) {
+                snapshotIndex = index;
+            }
+        });
+        
+        PLAYER.nextFrame = snapshotIndex;
+        applyFramesUntil(PLAYER.position, false);
+        updateControls();
+    }
+    
+    function tick(now) {
+        if (!PLAYER.playing) return;
+        
+        if (PLAYER.lastTick !== null) {
+            PLAYER.position += (now - PLAYER.lastTick) * PLAYER.speed;
+        }
+        PLAYER.lastTick = now;
+        
+        applyFramesUntil(PLAYER.position, true);
+        
+        if (PLAYER.position >= PLAYER.duration) {
+            PLAYER.position = PLAYER.duration;
+            pause();
+        }
+        
+        updateControls();
+        if (PLAYER.playing) requestAnimationFrame(tick);
+    }
+    
+    function play() {
+        if (PLAYER.position >= PLAYER.duration) seek(0);
+        PLAYER.playing = true;
+        PLAYER.lastTick = null;
+        ui.play.textContent = '⏸ Pause';
+        requestAnimationFrame(tick);
+    }
+    
+    function pause() {
+        PLAYER.playing = false;
+        ui.play.textContent = '▶ Play';
+    }
+    
+    // ============================================
+    // CONTROLS
+    // ============================================
+    
+    function updateControls() {
+        ui.timeline.value = Math.round(PLAYER.position);
+        ui.time.textContent = `${formatTime(PLAYER.position)} / ${formatTime(PLAYER.duration)}`;
+        
+        Array.from(ui.log.children).forEach(function(item) {
+            item.classList.toggle('past', Number(item.dataset.position) <= PLAYER.position);
+        });
+    }
+    
+    function describeFrame(frame) {
+        switch (frame.type) {
+            case 'snapshot': return `Page: ${frame.url}`;
+            case 'click': return `Click at ${Math.round(frame.x)}, ${Math.round(frame.y)}`;
+            case 'input': return `Input: ${frame.value}`;
+            case 'viewport': return `Resize to ${frame.width}×${frame.height}`;
+            default: return null;
+        }
+    }
+    
+    function renderTimelineDetails() {
+        ui.markers.innerHTML = '';
+        ui.log.innerHTML = '';
+        
+        PLAYER.frames.forEach(function(frame) {
+            const label = describeFrame(frame);
+            if (!label) return;
+            const position = relativeTime(frame);
+            
+            const marker = document.createElement('span');
+            marker.style.left = `${PLAYER.duration ? (position / PLAYER.duration) * 100 : 0}%`;
+            marker.style.background = FRAME_COLORS[frame.type];
+            marker.title = label;
+            ui.markers.appendChild(marker);
+            
+            const item = document.createElement('li');
+            item.dataset.position = position;
+            const time = document.createElement('time');
+            time.textContent = formatTime(position);
+            item.appendChild(time);
+            item.appendChild(document.createTextNode(label));
+            item.addEventListener('click', function() {
+                seek(position);
+            });
+            ui.log.appendChild(item);
+        });
+    }
+    
+    function loadRecording(recording) {
+        if (!recording || recording.version !== SUPPORTED_VERSION || !Array.isArray(recording.frames)) {
+            throw new Error(`Not a version ${SUPPORTED_VERSION} recording`);
+        }
+        
+        // Tracked events and DOM changes are stamped separately; order them by time
+        const frames = recording.frames.slice().sort(function(a, b) {
+            return a.t - b.t;
+        });
+        const first = frames.findIndex(function(frame) {
+            return frame.type === 'snapshot';
+        });
+        if (first === -1) throw new Error('Recording has no DOM snapshot');
+        
+        pause();
+        PLAYER.recording = recording;
+        PLAYER.frames = frames.slice(first);
+        PLAYER.startTime = PLAYER.frames[0].t;
+        PLAYER.duration = relativeTime(PLAYER.frames[PLAYER.frames.length - 1]);
+        
+        // A blank document to rebuild into (scripts can't run: see the sandbox)
+        const doc = getDocument();
+        doc.open();
+        doc.write('<!DOCTYPE html><html><head></head><body></body></html>');
+        doc.close();
+        
+        ui.empty.hidden = true;
+        ui.viewport.hidden = false;
+        [ui.play, ui.speed, ui.timeline].forEach(function(control) {
+            control.disabled = false;
+        });
+        ui.timeline.max = Math.round(PLAYER.duration);
+        document.title = `Replay: ${recording.page ? recording.page.title : ''}`;
+        
+        renderTimelineDetails();
+        seek(0);
+    }
+    
+    function loadFile(file) {
+        const reader = new FileReader();
+        reader.onload = function() {
+            try {
+                loadRecording(JSON.parse(reader.result));
+            } catch (error) {
+                alert(`Could not load recording: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+    
+    // ============================================
+    // EVENT LISTENERS
+    // ============================================
+    
+    ui.file.addEventListener('change', function() {
+        if (ui.file.files[0]) loadFile(ui.file.files[0]);
+    });
+    
+    ui.stage.addEventListener('dragover', function(e) {
+        e.preventDefault();
+    });
+    
+    ui.stage.addEventListener('drop', function(e) {
+        e.preventDefault();
+        if (e.dataTransfer.files[0]) loadFile(e.dataTransfer.files[0]);
+    });
+    
+    ui.play.addEventListener('click', function() {
+        if (PLAYER.playing) {
+            pause();
+        } else {
+            play();
+        }
+    });
+    
+    ui.speed.addEventListener('change', function() {
+        PLAYER.speed = Number(ui.speed.value);
+    });
+    
+    ui.timeline.addEventListener('input', function() {
+        seek(Number(ui.timeline.value));
+    });
+    
+    document.addEventListener('keydown', function(e) {
+        if (e.code === 'Space' && PLAYER.recording && e.target === document.body) {
+            e.preventDefault();
+            ui.play.click();
+        }
+    });
+    
+    window.addEventListener('resize', function() {
+        if (PLAYER.recording) fitToStage();
+    });
+    
+    // replay.html?src=recording.json loads a recording served next to the player
+    const src = new URLSearchParams(window.location.search).get('src');
+    if (src) {
+        fetch(src)
+            .then(function(response) {
+                return response.json();
+            })
+            .then(loadRecording)
+            .catch(function(error) {
+                alert(`Could not load ${src}: ${error.message}`);
+            });
+    }
+
+})();